@@ -1,170 +1,737 @@
 /**
- * Audio Processing Web Worker
- * Handles Float32 to Int16 conversion, downsampling (if needed), and WAV file building
+ * Audio Processing Web Worker (module worker)
+ * Handles resampling (if needed), quantisation to the chosen bit depth, and WAV file building.
+ * The WAV is written incrementally (OPFS or Blob parts) so long takes never sit in memory whole.
  */
 
+import { MultichannelResampler, Resampler } from './resampler.js';
+import { mixToMono } from './channels.js';
+import {
+    buildCueChunks, buildMetadataChunks, buildWavHeader, concatBytes, describeFormat, encodeSamples, remapCuePoints,
+} from './wav.js';
+import { RingBuffer } from './ring-buffer.js';
+import { SilenceShaper } from './silence.js';
+import { PcmStreamer } from './pcm-stream.js';
+import { LevelAnalyzer, WaveformView } from './level-meter.js';
+import { openSink, WavWriter } from './wav-writer.js';
+import { WavReader } from './wav-reader.js';
+import { encodeFlac } from './flac-encoder.js';
+import { encodeOggOpus } from './ogg-opus.js';
+import { PostProcessor } from './dsp.js';
+import { LeadingNoiseCollector, NoiseReducer } from './noise-reduction.js';
+import { createZip } from './zip.js';
+import { editedFrame } from './take-edits.js';
+import {
+    SessionJournal, listUnfinishedSessions, recoverSession, discardSession, removeOrphanedFiles,
+} from './session-journal.js';
+
 const CONFIG = {
-    TARGET_SAMPLE_RATE: 16000,  // Output is always 16kHz
-    BIT_DEPTH: 16,
-    CHANNELS: 1,
+    TARGET_SAMPLE_RATE: 16000,  // Default output rate when the main thread doesn't pick one
+    BIT_DEPTH: 16,              // 16 (dithered PCM), 24 (PCM) or 32 (float)
+    CHANNELS: 1,                // Default when the main thread doesn't say how many it captures
+    CHECKPOINT_SECONDS: 5,      // Audio between crash-recovery checkpoints
+    LEVEL_INTERVAL_MS: 33,      // Waveform/meter refresh while recording
+    JOIN_FADE_MS: 3,            // Fade out/in either side of an edit join, so cuts don't click
+    RENDER_FRAMES: 1 << 16,     // Frames per step of the finish pass
 };
 
-let recordedChunks = [];
+let wavWriter = null;      // Streams the current take to storage as chunks arrive
+let finishedSink = null;   // Storage behind the last finished take, removed when the next one starts
+let finishedBlob = null;   // The last finished take as recorded; edits are built from it
+let finishedReader = null; // WavReader over finishedBlob, opened when first needed
+let reviewBlob = null;     // What the review player shows: the finished take or its latest edit
+let reviewReader = null;
+let journal = null;        // Crash-recovery record for the take in progress (null if IndexedDB is unavailable)
+let checkpointedBytes = 0;
 let sourceSampleRate = 16000;  // Will be set by main thread
-let needsDownsampling = false;
+let targetSampleRate = CONFIG.TARGET_SAMPLE_RATE;  // Chosen in the Sample Rate dropdown
+let inputChannels = CONFIG.CHANNELS;   // Capture chunks hold this many channels, interleaved
+let downmix = false;                    // Mix the captured channels into a mono take
+let outputFormat = describeFormat(CONFIG.BIT_DEPTH, CONFIG.CHANNELS);
+let needsResampling = false;
+let resampler = null;  // Band-limited resampler, keeps filter state across 'process' chunks
+let totalInputSamples = 0;  // Source-rate frames received, to check output length on finish
+let capturedFrames = 0;     // Source-rate frames from the capture side, before silence is dropped
+
+// Pause positions: the page sends them as capture positions, pinned to the output once that audio is in
+let pendingCues = [];       // { inputFrame, label }
+let cuePoints = [];         // { frame, label } in output frames
+
+// Silence mode (leading/edges/compress), applied here so it also works when audio bypasses the main thread
+let silenceShaper = null;
+
+// Optional high-pass / noise reduction / normalisation / limiter. Noise reduction and normalisation
+// need the whole take, so then the take is recorded as 32-bit float and rendered to the chosen
+// bit depth on finish.
+let postProcessor = null;
+let noiseCollector = null;  // Leading silence kept as the noise profile, when noise reduction is on
+
+// AudioWorklet capture sends audio on its own MessagePort; finish waits until it has drained
+let capturePort = null;
+let captureEnded = false;
+let finishPending = false;
+let takeMetadata = null;   // Sent with 'finish': title, timing and diagnostics to embed in the WAV
+let markCues = false;      // Sent with 'finish': write pause positions as cue points
+
+// SharedArrayBuffer capture: the worker polls the ring instead of receiving messages
+let ring = null;
+let ringScratch = null;
+let ringTimerId = null;
+let ringHasData = false;  // Underruns only count once audio has started flowing
+let capturePaused = false; // ...and not while the page has paused capture (Pause button or lost input)
+
+// Optional live stream of the output to a WebSocket speech recognizer
+let pcmStreamer = null;
+
+// Live waveform and level meter of the raw input. Drawn here when the page handed over an
+// OffscreenCanvas; otherwise the levels are posted to the page to draw.
+let levelAnalyzer = null;
+let waveformView = null;
+let levelTimerId = null;
 
 /**
- * Downsample Float32 data from source rate to 16kHz using linear interpolation
+ * Write output-rate audio to the WAV (and the live stream, if one is open)
  */
-function downsample(float32Data, sourceRate, targetRate) {
-    const ratio = sourceRate / targetRate;
-    const outputLength = Math.floor(float32Data.length / ratio);
-    const output = new Float32Array(outputLength);
+function writeOutput(float32Data) {
+    if (postProcessor) float32Data = postProcessor.process(float32Data);
+    wavWriter.append(encodeSamples(float32Data, wavWriter.format));
+    // The recognizer gets mono whatever the take has
+    pcmStreamer?.push(mixToMono(float32Data, outputFormat.channels));
+}
 
-    for (let i = 0; i < outputLength; i++) {
-        const srcIndex = i * ratio;
-        const floor = Math.floor(srcIndex);
-        const ceil = Math.min(floor + 1, float32Data.length - 1);
-        const fraction = srcIndex - floor;
+/**
+ * Resample, quantise and store one chunk of source-rate audio (interleaved if multi-channel)
+ */
+function processChunk(float32Data) {
+    placeCues();
+    capturedFrames += float32Data.length / inputChannels;
+
+    // Meter what the mic hears, before any silence is dropped or channels mixed
+    levelAnalyzer?.process(float32Data);
+
+    if (downmix) {
+        float32Data = mixToMono(float32Data, inputChannels);
+    }
+
+    // Leading silence is profiled before the silence mode can drop it
+    noiseCollector?.process(float32Data);
 
-        output[i] = float32Data[floor] * (1 - fraction) + float32Data[ceil] * fraction;
+    // Hold back or drop silence according to the silence mode
+    if (silenceShaper) {
+        float32Data = silenceShaper.process(float32Data);
+        if (float32Data.length === 0) return;
     }
 
-    return output;
+    totalInputSamples += float32Data.length / outputFormat.channels;
+
+    // Resample if needed (source rate != target rate)
+    if (needsResampling) {
+        float32Data = resampler.process(float32Data);
+    }
+
+    // Quantise to the output bit depth and append to the WAV
+    writeOutput(float32Data);
+
+    // Send back sample count for diagnostics
+    self.postMessage({
+        type: 'processed',
+        samplesProcessed: float32Data.length / outputFormat.channels
+    });
 }
 
 /**
- * Convert Float32Array to Int16Array
+ * Pin cue points whose capture position has been reached (all of them on finish) to the output so far
  */
-function float32ToInt16(float32Data) {
-    const output = new Int16Array(float32Data.length);
-    for (let i = 0; i < float32Data.length; i++) {
-        const sample = Math.max(-1, Math.min(1, float32Data[i]));
-        output[i] = sample * 0x7fff;
+function placeCues(all = false) {
+    if (!wavWriter) return;
+    while (pendingCues.length > 0 && (all || pendingCues[0].inputFrame <= capturedFrames)) {
+        const { inputFrame, label } = pendingCues.shift();
+        // Back up over audio captured after the cue (silence shaping makes this approximate)
+        const overshoot = Math.max(0, capturedFrames - inputFrame) * targetSampleRate / sourceSampleRate;
+        cuePoints.push({ frame: Math.max(0, Math.round(wavWriter.sampleCount - overshoot)), label });
     }
-    return output;
 }
 
 /**
- * Merge all Int16 chunks into a single array
+ * Draw (or post) the levels gathered since the last refresh
  */
-function mergeChunks(chunks) {
-    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-    const merged = new Int16Array(totalLength);
+function renderLevels() {
+    const levels = levelAnalyzer?.take();
+    if (!levels) return;
+
+    if (waveformView) {
+        waveformView.draw(levels);
+    } else {
+        self.postMessage({ type: 'levels', levels }, [levels.columns.buffer]);
+    }
+    if (levels.clipStarted) self.postMessage({ type: 'clipping' });
+}
+
+function stopLevelUpdates() {
+    if (levelTimerId !== null) {
+        clearInterval(levelTimerId);
+        levelTimerId = null;
+    }
+    renderLevels();
+    levelAnalyzer = null;
+}
+
+/**
+ * Checkpoint the take for crash recovery every few seconds of audio
+ */
+async function maybeCheckpoint() {
+    if (!journal || !wavWriter) return;
+
+    const interval = CONFIG.CHECKPOINT_SECONDS * targetSampleRate * wavWriter.format.blockAlign;
+    if (wavWriter.dataSize - checkpointedBytes < interval) return;
+
+    checkpointedBytes = wavWriter.dataSize;
+    await journal.checkpoint();
+}
+
+/**
+ * Pull everything the capture side has written to the shared ring
+ */
+async function drainRing() {
+    if (!ring) return;
+
+    // Read the flag first: everything written before close() is then guaranteed to be visible
+    const closed = ring.isClosed();
+    let frames = ring.read(ringScratch);
+
+    if (frames === 0 && !closed && ringHasData && !capturePaused) {
+        // A whole drain interval passed without the capture side writing anything
+        ring.recordUnderrun();
+    }
+
+    while (frames > 0) {
+        ringHasData = true;
+        processChunk(ringScratch.subarray(0, frames));
+        frames = ring.read(ringScratch);
+    }
+    await maybeCheckpoint();
 
-    let offset = 0;
-    for (const chunk of chunks) {
-        merged.set(chunk, offset);
-        offset += chunk.length;
+    if (closed) {
+        stopRingDrain();
+        captureEnded = true;
+        if (finishPending) await finishRecording();
     }
+}
 
-    return merged;
+function stopRingDrain() {
+    if (ringTimerId !== null) {
+        clearInterval(ringTimerId);
+        ringTimerId = null;
+    }
 }
 
 /**
- * Build WAV file from Int16 samples (always at 16kHz)
+ * Patch the WAV header and hand the finished file to the main thread
  */
-function buildWav(samples) {
-    const headerSize = 44;
-    const dataSize = samples.length * 2;
-    const buffer = new ArrayBuffer(headerSize + dataSize);
-    const view = new DataView(buffer);
+async function finishRecording() {
+    finishPending = false;
+    if (!wavWriter) return;
+    stopLevelUpdates();
 
-    function writeString(offset, text) {
-        for (let i = 0; i < text.length; i++) {
-            view.setUint8(offset + i, text.charCodeAt(i));
+    // Release audio the silence shaper was still holding (e.g. a pause that turned out to be short)
+    if (silenceShaper) {
+        const held = silenceShaper.finish();
+        if (held.length > 0) {
+            totalInputSamples += held.length / outputFormat.channels;
+            writeOutput(needsResampling ? resampler.process(held) : held);
         }
     }
 
-    // RIFF header
-    writeString(0, "RIFF");
-    view.setUint32(4, 36 + dataSize, true);
-    writeString(8, "WAVE");
+    // Drain the resampler so the samples still inside its filter aren't lost
+    if (needsResampling) {
+        writeOutput(resampler.flush());
+    }
+
+    // Trailing silence has already been written by the time we know it's trailing - cut it off
+    let keptInputSamples = totalInputSamples;
+    if (silenceShaper?.trailingCut != null) {
+        keptInputSamples = silenceShaper.trailingCut;
+        const keptSamples = needsResampling ? resampler.expectedOutputLength(keptInputSamples) : keptInputSamples;
+        wavWriter.truncate(keptSamples * wavWriter.format.blockAlign);
+    }
+
+    const totalSamples = wavWriter.sampleCount;
+    const expectedSamples = needsResampling
+        ? resampler.expectedOutputLength(keptInputSamples)
+        : keptInputSamples;
+
+    // Chunks after the audio: metadata, and pause positions as cue points (within what was kept)
+    placeCues(true);
+    const trailing = [];
+    const noiseReduction = noiseCollector ? await reduceNoise() : null;
+    postProcessor?.finish();
+    const processing = postProcessor ? { ...postProcessor.summary(), noiseReduction } : null;
+    if (takeMetadata) {
+        trailing.push(buildMetadataChunks({ ...takeMetadata, processing }, outputFormat, targetSampleRate));
+    }
+    if (markCues && cuePoints.length > 0) {
+        trailing.push(buildCueChunks(cuePoints.map((cue) => ({ ...cue, frame: Math.min(cue.frame, totalSamples) }))));
+    }
+
+    const wavBlob = postProcessor?.needsFinishPass
+        ? await renderFinishPass(concatBytes(trailing))
+        : await wavWriter.finish(concatBytes(trailing));
+    finishedSink = wavWriter.sink;
+    finishedBlob = wavBlob;
+    reviewBlob = wavBlob;
+    wavWriter = null;
+    await endJournal();
+
+    // The server gets the end marker; don't hold up the WAV waiting for its last transcript
+    pcmStreamer?.end();
+    pcmStreamer = null;
+
+    // Blob/File crosses to the main thread by reference - no copy of the audio
+    self.postMessage({
+        type: 'complete',
+        wavBlob: wavBlob,
+        storage: finishedSink.kind,
+        totalSamples: totalSamples,
+        bitDepth: outputFormat.bitDepth,
+        expectedSamples: expectedSamples,
+        inputSamples: totalInputSamples,
+        silence: silenceShaper ? silenceShaper.summary() : null,
+        processing: processing,
+        outputSampleRate: targetSampleRate,
+        channels: outputFormat.channels
+    });
+}
+
+/**
+ * Denoise the float take with a profile of its leading silence. wavWriter is replaced by the
+ * denoised take (still float, for the finish pass), which normalisation measures afresh.
+ * Resolves with what was done for the take's processing summary.
+ */
+async function reduceNoise() {
+    let noise = noiseCollector.clip();
+    noiseCollector = null;
+    if (needsResampling) {
+        const noiseResampler = outputFormat.channels > 1
+            ? new MultichannelResampler(sourceSampleRate, targetSampleRate, outputFormat.channels)
+            : new Resampler(sourceSampleRate, targetSampleRate);
+        const head = noiseResampler.process(noise);
+        const tail = noiseResampler.flush();
+        noise = new Float32Array(head.length + tail.length);
+        noise.set(head, 0);
+        noise.set(tail, head.length);
+    }
+    // The profile has to describe the audio it's applied to, which process() has high-passed
+    noise = postProcessor.highPassed(noise);
+
+    const reducer = new NoiseReducer(noise, targetSampleRate, outputFormat.channels);
+    if (!reducer.ready) return reducer.summary();
 
-    // fmt chunk
-    writeString(12, "fmt ");
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true); // PCM
-    view.setUint16(22, CONFIG.CHANNELS, true);
-    view.setUint32(24, CONFIG.TARGET_SAMPLE_RATE, true);  // Always 16kHz output
-    view.setUint32(28, CONFIG.TARGET_SAMPLE_RATE * 2, true);
-    view.setUint16(32, 2, true); // block align
-    view.setUint16(34, CONFIG.BIT_DEPTH, true);
+    const source = await WavReader.open(await wavWriter.finish());
+    const denoised = new WavWriter(await openSink(`recording-${Date.now()}-denoised.wav`), wavWriter.format, targetSampleRate);
+    const write = (samples) => {
+        postProcessor.measure(samples);
+        denoised.append(encodeSamples(samples, denoised.format));
+    };
 
-    // data chunk
-    writeString(36, "data");
-    view.setUint32(40, dataSize, true);
+    postProcessor.restartMeter();
+    for (let start = 0; start < source.frames; start += CONFIG.RENDER_FRAMES) {
+        write(reducer.process(await source.read(start, start + CONFIG.RENDER_FRAMES)));
+    }
+    write(reducer.flush());
+
+    await wavWriter.sink.discard();
+    wavWriter = denoised;
+    return reducer.summary();
+}
+
+/**
+ * Render the float take through the finish-pass stages (normalisation gain, then the limiter) into
+ * the output format. The float file is removed and wavWriter becomes the rendered one.
+ */
+async function renderFinishPass(trailing) {
+    const source = await WavReader.open(await wavWriter.finish());
+    const rendered = new WavWriter(await openSink(`recording-${Date.now()}-final.wav`), outputFormat, targetSampleRate);
 
-    // Write samples
-    let writeOffset = headerSize;
-    for (const sample of samples) {
-        view.setInt16(writeOffset, sample, true);
-        writeOffset += 2;
+    for (let start = 0; start < source.frames; start += CONFIG.RENDER_FRAMES) {
+        const samples = await source.read(start, start + CONFIG.RENDER_FRAMES);
+        rendered.append(encodeSamples(postProcessor.render(samples), outputFormat));
     }
 
-    return buffer;
+    await wavWriter.sink.discard();
+    wavWriter = rendered;
+    return rendered.finish(trailing);
 }
 
 /**
- * Handle messages from main thread
+ * Drop whatever storage the previous or current take is using
  */
-self.onmessage = function (event) {
+async function discardTakes() {
+    await endJournal();
+    await finishedSink?.discard();
+    await wavWriter?.sink.discard();
+    finishedSink = null;
+    finishedBlob = null;
+    finishedReader = null;
+    reviewBlob = null;
+    reviewReader = null;
+    wavWriter = null;
+}
+
+async function endJournal() {
+    const ending = journal;
+    journal = null;
+    await ending?.end().catch((err) => console.warn('Could not clear session record:', err));
+}
+
+/**
+ * Waveform min/max pairs of the finished take for the review player
+ */
+async function sendPeaks({ requestId, start, end, columns }) {
+    if (!reviewBlob) {
+        self.postMessage({ type: 'peaks', requestId, start, end, peaks: null });
+        return;
+    }
+
+    try {
+        if (!reviewReader) reviewReader = await WavReader.open(reviewBlob);
+        const peaks = await reviewReader.peaks(start, end, columns);
+        self.postMessage({ type: 'peaks', requestId, start, end, peaks }, [peaks.buffer]);
+    } catch (err) {
+        // The player just shows no waveform; playback doesn't depend on it
+        console.warn('Could not read peaks:', err);
+        self.postMessage({ type: 'peaks', requestId, start, end, peaks: null });
+    }
+}
+
+// Compressed export formats; WAV is the take itself
+const ENCODERS = { flac: encodeFlac, opus: encodeOggOpus };
+
+/**
+ * Compressed copy of a finished (or edited) take for download or upload. With `channelFiles`
+ * (one name per channel) each channel becomes a mono file of its own, and they come back zipped.
+ */
+async function encodeTake({ requestId, blob, codec, channelFiles = null }) {
+    try {
+        const encode = ENCODERS[codec];
+        if (!encode && !(codec === 'wav' && channelFiles)) throw new Error(`Unknown export format: ${codec}`);
+
+        const reader = await WavReader.open(blob);
+        let encoded;
+        if (channelFiles) {
+            const entries = [];
+            for (let channel = 0; channel < reader.format.channels; channel++) {
+                const mono = await reader.extractChannel(channel);
+                const data = encode ? await encode(await WavReader.open(mono)) : mono;
+                entries.push({ name: channelFiles[channel], data });
+            }
+            encoded = await createZip(entries);
+        } else {
+            encoded = await encode(reader);
+        }
+        self.postMessage({ type: 'encoded', requestId, blob: encoded });
+    } catch (err) {
+        console.error('Encoding failed:', err);
+        self.postMessage({ type: 'encoded', requestId, message: err.message });
+    }
+}
+
+/**
+ * Build an edited take from kept segments of the finished one ({ start, end } frame ranges).
+ * The untouched audio is sliced from the original file (no copy, no requantisation); only the
+ * short fades either side of each join are decoded and re-encoded.
+ */
+async function renderEdit(segments) {
+    if (!finishedBlob) throw new Error('No finished take to edit');
+    if (!finishedReader) finishedReader = await WavReader.open(finishedBlob);
+
+    const reader = finishedReader;
+    const { format, sampleRate, frames } = reader;
+    const isOriginal = segments.length === 1 && segments[0].start === 0 && segments[0].end >= frames;
+
+    if (isOriginal) {
+        reviewBlob = finishedBlob;
+    } else {
+        const fadeFrames = Math.round(sampleRate * CONFIG.JOIN_FADE_MS / 1000);
+        const parts = [];
+        let dataSize = 0;
+
+        const fade = async (start, end, fadeIn) => {
+            const samples = await reader.read(start, end);
+            const length = end - start;
+            for (let frame = 0; frame < length; frame++) {
+                const gain = fadeIn ? (frame + 1) / (length + 1) : (length - frame) / (length + 1);
+                for (let channel = 0; channel < format.channels; channel++) {
+                    samples[frame * format.channels + channel] *= gain;
+                }
+            }
+            return encodeSamples(samples, format);
+        };
+
+        for (let index = 0; index < segments.length; index++) {
+            const { start, end } = segments[index];
+            const length = end - start;
+            const fadeIn = index > 0 ? Math.min(fadeFrames, Math.floor(length / 2)) : 0;
+            const fadeOut = index < segments.length - 1 ? Math.min(fadeFrames, Math.floor(length / 2)) : 0;
+
+            if (fadeIn > 0) parts.push(await fade(start, start + fadeIn, true));
+            parts.push(reader.slice(start + fadeIn, end - fadeOut));
+            if (fadeOut > 0) parts.push(await fade(end - fadeOut, end, false));
+            dataSize += length * format.blockAlign;
+        }
+
+        // Chunks after the original audio (INFO, bext, diagnostics) carry over; cue points move with
+        // the audio they mark and are dropped with it
+        const trailing = remapCuePoints(
+            new Uint8Array(await reader.trailing().arrayBuffer()),
+            (frame) => editedFrame(segments, frame),
+        );
+        const header = buildWavHeader(format, sampleRate, dataSize, trailing.length);
+        const padding = dataSize % 2 ? [new Uint8Array(1)] : [];
+        reviewBlob = new Blob([header, ...parts, ...padding, trailing], { type: 'audio/wav' });
+    }
+    reviewReader = null;
+
+    self.postMessage({
+        type: 'edited',
+        wavBlob: reviewBlob,
+        totalSamples: segments.reduce((sum, { start, end }) => sum + end - start, 0),
+        bitDepth: format.bitDepth,
+        outputSampleRate: sampleRate,
+        channels: format.channels,
+        isOriginal: isOriginal
+    });
+}
+
+/**
+ * Rebuild an unfinished session from a previous page load and hand it over like a finished take
+ */
+async function recoverTake(id) {
+    if (wavWriter) throw new Error('Finish the current recording before recovering another');
+    await discardTakes();
+
+    const recovered = await recoverSession(id);
+    finishedSink = { kind: 'recovered', discard: recovered.discard };
+    finishedBlob = recovered.blob;
+    reviewBlob = recovered.blob;
+
+    self.postMessage({
+        type: 'recovered',
+        id: id,
+        wavBlob: recovered.blob,
+        totalSamples: recovered.totalSamples,
+        bitDepth: recovered.bitDepth,
+        outputSampleRate: recovered.sampleRate,
+        channels: recovered.channels
+    });
+}
+
+// Messages are handled one at a time, in order, even though some steps (opening OPFS,
+// finishing the file) are async - otherwise chunks could arrive before the writer exists
+let messageQueue = Promise.resolve();
+
+function enqueue(task) {
+    messageQueue = messageQueue.then(task).catch((err) => {
+        console.error('Audio worker error:', err);
+        self.postMessage({ type: 'error', message: err.message });
+    });
+}
+
+function onMessage(event) {
+    enqueue(() => handleMessage(event));
+}
+
+/**
+ * Handle messages from main thread (and from the AudioWorklet capture port)
+ */
+async function handleMessage(event) {
     const { type, data } = event.data;
 
     switch (type) {
-        case 'init':
+        case 'init': {
             // Reset for new recording and set sample rate info
-            recordedChunks = [];
+            await discardTakes();
+            totalInputSamples = 0;
+            capturePort = null;
+            captureEnded = false;
+            finishPending = false;
+            takeMetadata = null;
+            markCues = false;
+            capturedFrames = 0;
+            pendingCues = [];
+            cuePoints = [];
+            stopRingDrain();
+            ring = null;
+            ringHasData = false;
+            capturePaused = false;
             sourceSampleRate = data.sourceSampleRate || 16000;
-            needsDownsampling = sourceSampleRate !== CONFIG.TARGET_SAMPLE_RATE;
+            targetSampleRate = data.targetSampleRate || CONFIG.TARGET_SAMPLE_RATE;
+            inputChannels = data.channels || CONFIG.CHANNELS;
+            downmix = inputChannels > 1 && !!data.downmix;
+            outputFormat = describeFormat(data.bitDepth || CONFIG.BIT_DEPTH, downmix ? 1 : inputChannels);
+            needsResampling = sourceSampleRate !== targetSampleRate;
+            if (!needsResampling) {
+                resampler = null;
+            } else if (outputFormat.channels > 1) {
+                resampler = new MultichannelResampler(sourceSampleRate, targetSampleRate, outputFormat.channels);
+            } else {
+                resampler = new Resampler(sourceSampleRate, targetSampleRate);
+            }
+            silenceShaper = data.silenceMode && data.silenceMode !== 'off'
+                ? new SilenceShaper(sourceSampleRate, data.silenceMode, { channels: outputFormat.channels })
+                : null;
+            postProcessor = PostProcessor.create(data.processing, targetSampleRate, outputFormat.channels);
+            noiseCollector = data.processing?.noiseReduction
+                ? new LeadingNoiseCollector(sourceSampleRate, outputFormat.channels)
+                : null;
+
+            const sink = await openSink(`recording-${Date.now()}.wav`);
+            const recordFormat = postProcessor?.needsFinishPass ? describeFormat(32, outputFormat.channels) : outputFormat;
+            wavWriter = new WavWriter(sink, recordFormat, targetSampleRate);
+
+            // Crash recovery is best effort - recording still works without IndexedDB
+            checkpointedBytes = 0;
+            journal = await SessionJournal.begin(wavWriter, {
+                sampleRate: targetSampleRate,
+                bitDepth: recordFormat.bitDepth,
+                channels: recordFormat.channels,
+            }).catch((err) => {
+                console.warn('Crash recovery unavailable:', err);
+                return null;
+            });
 
-            console.log(`Worker initialized: source=${sourceSampleRate}Hz, downsample=${needsDownsampling}`);
+            // Live stream to the recognizer (a previous take that was never finished stops streaming)
+            pcmStreamer?.close();
+            pcmStreamer = data.streamUrl
+                ? new PcmStreamer(data.streamUrl, targetSampleRate, (event) => {
+                    self.postMessage({ ...event, type: `stream-${event.type}` });
+                })
+                : null;
+
+            levelAnalyzer = new LevelAnalyzer(sourceSampleRate, inputChannels);
+            waveformView?.clear();
+            clearInterval(levelTimerId);
+            levelTimerId = setInterval(renderLevels, CONFIG.LEVEL_INTERVAL_MS);
+
+            console.log(`Worker initialized: source=${sourceSampleRate}Hz, target=${targetSampleRate}Hz, ${outputFormat.bitDepth}-bit, channels=${inputChannels}${downmix ? '->1' : ''}, resample=${needsResampling}, storage=${sink.kind}`);
             self.postMessage({
                 type: 'ready',
-                needsDownsampling: needsDownsampling
+                needsResampling: needsResampling,
+                targetSampleRate: targetSampleRate,
+                storage: sink.kind
             });
             break;
+        }
+
+        case 'attach-visualizer':
+            // OffscreenCanvas transferred from the page; it stays with the worker for its lifetime
+            waveformView = new WaveformView(data.canvas);
+            break;
+
+        case 'resize-visualizer':
+            waveformView?.resize(data.width, data.height);
+            break;
+
+        case 'connect-capture':
+            // AudioWorklet path: audio arrives on this port instead of from the main thread
+            capturePort = event.data.port;
+            capturePort.onmessage = onMessage;
+            break;
+
+        case 'connect-ring':
+            // Shared-memory path: poll at about twice the capture callback interval
+            ring = new RingBuffer(data.sharedBuffer);
+            ringScratch = new Float32Array(ring.capacity);
+            ringTimerId = setInterval(() => enqueue(drainRing), data.drainIntervalMs);
+            break;
 
         case 'process':
-            // Get Float32 data from buffer
-            let float32Data = new Float32Array(data.buffer);
+            processChunk(new Float32Array(data.buffer));
+            await maybeCheckpoint();
+            break;
 
-            // Downsample if needed (source rate != 16kHz)
-            if (needsDownsampling) {
-                float32Data = downsample(float32Data, sourceSampleRate, CONFIG.TARGET_SAMPLE_RATE);
+        case 'cue':
+            // The page paused capture at this capture position
+            pendingCues.push(data);
+            placeCues();
+            break;
+
+        case 'capture-paused':
+            capturePaused = data.paused;
+            // After a resume, wait for audio to flow again before counting underruns
+            if (!capturePaused) ringHasData = false;
+            break;
+
+        case 'capture-ended':
+            // Worklet has posted its last partial batch
+            captureEnded = true;
+            if (finishPending) await finishRecording();
+            break;
+
+        case 'finish':
+            takeMetadata = data?.metadata || null;
+            markCues = !!data?.cuePoints;
+            // Worklet batches travel on another port (or the ring) - wait for the last one unless capture was lost
+            if ((capturePort || ring) && !captureEnded && !data?.captureLost) {
+                finishPending = true;
+                break;
             }
+            await finishRecording();
+            break;
 
-            // Convert to Int16 and store
-            const int16Data = float32ToInt16(float32Data);
-            recordedChunks.push(int16Data);
+        case 'clear':
+            stopLevelUpdates();
+            pcmStreamer?.close();
+            pcmStreamer = null;
+            await discardTakes();
+            self.postMessage({ type: 'cleared' });
+            break;
 
-            // Send back sample count for diagnostics
+        case 'scan-sessions':
+            // Called on page load: offer to rebuild takes that a killed tab never finished
+            await removeOrphanedFiles().catch((err) => console.warn('Orphan cleanup failed:', err));
             self.postMessage({
-                type: 'processed',
-                samplesProcessed: int16Data.length
+                type: 'sessions',
+                sessions: await listUnfinishedSessions().catch((err) => {
+                    console.warn('Could not read unfinished sessions:', err);
+                    return [];
+                }),
             });
             break;
 
-        case 'finish':
-            // Merge all chunks and build WAV (always 16kHz output)
-            const mergedPCM = mergeChunks(recordedChunks);
-            const wavBuffer = buildWav(mergedPCM);
+        case 'recover-session':
+            await recoverTake(data.id);
+            break;
 
-            // Send WAV buffer back to main thread
-            self.postMessage({
-                type: 'complete',
-                wavBuffer: wavBuffer,
-                totalSamples: mergedPCM.length,
-                outputSampleRate: CONFIG.TARGET_SAMPLE_RATE
-            }, [wavBuffer]);
+        case 'peaks':
+            await sendPeaks(data);
+            break;
 
-            // Clear chunks
-            recordedChunks = [];
+        case 'load-take':
+            // A saved take from the list becomes the one the review player and editor work on:
+            // edits are cut from the original, the player shows its latest edit
+            finishedBlob = data.blob;
+            finishedReader = null;
+            reviewBlob = data.reviewBlob || data.blob;
+            reviewReader = null;
             break;
 
-        case 'clear':
-            recordedChunks = [];
-            self.postMessage({ type: 'cleared' });
+        case 'render-edit':
+            // Failure is reported to the editor (not as a worker error) so it can roll the edit back
+            await renderEdit(data.segments).catch((err) => {
+                console.error('Edit failed:', err);
+                self.postMessage({ type: 'edited', message: err.message });
+            });
+            break;
+
+        case 'encode':
+            await encodeTake(data);
+            break;
+
+        case 'discard-session':
+            await discardSession(data.id);
+            self.postMessage({ type: 'session-discarded', id: data.id });
             break;
     }
-};
+}
+
+self.onmessage = onMessage;
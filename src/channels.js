@@ -0,0 +1,45 @@
+/**
+ * Channel Layout Helpers
+ * Multi-channel capture travels interleaved (L R L R ... for stereo) from the capture node to the
+ * WAV. These convert between that layout, one array per channel, and a mono mix.
+ */
+
+/**
+ * Average of all channels, one sample per frame
+ */
+export function mixToMono(samples, channels) {
+    if (channels === 1) return samples;
+
+    const mono = new Float32Array(samples.length / channels);
+    for (let frame = 0, i = 0; frame < mono.length; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) sum += samples[i++];
+        mono[frame] = sum / channels;
+    }
+    return mono;
+}
+
+/**
+ * One Float32Array per channel
+ */
+export function deinterleave(samples, channels) {
+    const frames = samples.length / channels;
+    const planes = Array.from({ length: channels }, () => new Float32Array(frames));
+    for (let frame = 0, i = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) planes[channel][frame] = samples[i++];
+    }
+    return planes;
+}
+
+/**
+ * Interleave equal-length channel arrays into `target` (allocated if not given)
+ */
+export function interleave(planes, target = null) {
+    const channels = planes.length;
+    const frames = planes[0].length;
+    const output = target || new Float32Array(frames * channels);
+    for (let frame = 0, i = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) output[i++] = planes[channel][frame];
+    }
+    return output;
+}
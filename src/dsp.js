@@ -0,0 +1,286 @@
+/**
+ * Post-processing Chain (worker only)
+ * Optional clean-up for consumers that want level-consistent output rather than raw capture.
+ * Each stage is toggled separately:
+ *   highPass  - 2nd-order Butterworth high-pass at 80 Hz: removes DC offset and rumble as audio arrives
+ *   normalize - 'peak' (to -1 dBFS) or 'loudness' (EBU R128 integrated loudness, to -23 LUFS);
+ *               measured while recording, applied as one gain once the take is over
+ *   limiter   - soft knee above -3 dBFS, so peaks bend towards -0.3 dBFS instead of clipping
+ * Noise reduction (noise-reduction.js) also runs once the take is over, between the high-pass and
+ * the normalisation gain; the worker drives it, this class only makes room for it.
+ * Multi-channel audio is interleaved: filters keep state per channel, gain and meters span all channels.
+ */
+
+const CONFIG = {
+    HIGH_PASS_HZ: 80,
+    HIGH_PASS_SETTLE_MS: 25,        // Start-up transient of a fresh high-pass, left out of a profile
+    PEAK_TARGET_DB: -1,
+    LOUDNESS_TARGET_LUFS: -23,      // EBU R128
+    MAX_GAIN_DB: 30,                // Near-silent takes aren't raised further than this
+    LIMITER_KNEE_DB: -3,
+    LIMITER_CEILING_DB: -0.3,
+};
+
+// ITU-R BS.1770 gating
+const LOUDNESS = {
+    BLOCK_SUB_BLOCKS: 4,            // 400 ms blocks...
+    SUB_BLOCK_SECONDS: 0.1,         // ...advancing 100 ms at a time (75% overlap)
+    ABSOLUTE_GATE_LUFS: -70,
+    RELATIVE_GATE_LU: -10,
+};
+
+export const NORMALIZE_MODES = ['off', 'peak', 'loudness'];
+
+const dbToGain = (db) => 10 ** (db / 20);
+const gainToDb = (gain) => 20 * Math.log10(gain);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Biquad sections run over interleaved audio, with separate history per channel
+ */
+class BiquadCascade {
+    /**
+     * `sections` are { b: [b0, b1, b2], a: [a1, a2] }, normalised so a0 = 1
+     */
+    constructor(sections, channels) {
+        this.sections = sections;
+        this.channels = channels;
+        this.state = new Float64Array(sections.length * channels * 4);    // x1, x2, y1, y2
+    }
+
+    process(samples) {
+        const output = new Float32Array(samples.length);
+        const { channels, sections, state } = this;
+
+        for (let i = 0; i < samples.length; i++) {
+            const channel = i % channels;
+            let x = samples[i];
+            for (let s = 0; s < sections.length; s++) {
+                const { b, a } = sections[s];
+                const base = (s * channels + channel) * 4;
+                const y = b[0] * x + b[1] * state[base] + b[2] * state[base + 1] - a[0] * state[base + 2] - a[1] * state[base + 3];
+                state[base + 1] = state[base];
+                state[base] = x;
+                state[base + 3] = state[base + 2];
+                state[base + 2] = y;
+                x = y;
+            }
+            output[i] = x;
+        }
+        return output;
+    }
+}
+
+// RBJ cookbook high-pass; Q = 1/sqrt(2) gives a Butterworth response
+function highPassSection(sampleRate, frequency, q = Math.SQRT1_2) {
+    const w = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w) / (2 * q);
+    const cos = Math.cos(w);
+    const a0 = 1 + alpha;
+    return {
+        b: [(1 + cos) / 2 / a0, -(1 + cos) / a0, (1 + cos) / 2 / a0],
+        a: [-2 * cos / a0, (1 - alpha) / a0],
+    };
+}
+
+// BS.1770 K-weighting (high shelf, then RLB high-pass) for any sample rate, from its analogue prototype
+function kWeightingSections(sampleRate) {
+    let k = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let q = 0.7071752369554196;
+    const vh = 10 ** (3.999843853973347 / 20);
+    const vb = vh ** 0.4996667741545416;
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b: [(vh + vb * k / q + k * k) / a0, 2 * (k * k - vh) / a0, (vh - vb * k / q + k * k) / a0],
+        a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    k = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    q = 0.5003270373238773;
+    a0 = 1 + k / q + k * k;
+    const highPass = { b: [1, -2, 1], a: [2 * (k * k - 1) / a0, (1 - k / q + k * k) / a0] };
+
+    return [shelf, highPass];
+}
+
+/**
+ * Sample peak and EBU R128 integrated loudness of a stream
+ */
+export class LoudnessMeter {
+    constructor(sampleRate, channels = 1) {
+        this.channels = channels;
+        this.weighting = new BiquadCascade(kWeightingSections(sampleRate), channels);
+        this.subBlockFrames = Math.round(sampleRate * LOUDNESS.SUB_BLOCK_SECONDS);
+        this.subBlocks = [];        // Mean square of each finished 100 ms sub-block, summed over channels
+        this.squares = 0;
+        this.fill = 0;              // Frames in the current sub-block
+        this.peak = 0;
+    }
+
+    process(samples) {
+        for (let i = 0; i < samples.length; i++) {
+            const magnitude = Math.abs(samples[i]);
+            if (magnitude > this.peak) this.peak = magnitude;
+        }
+
+        const weighted = this.weighting.process(samples);
+        for (let i = 0; i < weighted.length; i += this.channels) {
+            for (let channel = 0; channel < this.channels; channel++) this.squares += weighted[i + channel] ** 2;
+            if (++this.fill === this.subBlockFrames) {
+                this.subBlocks.push(this.squares / this.subBlockFrames);
+                this.squares = 0;
+                this.fill = 0;
+            }
+        }
+    }
+
+    /**
+     * Gated integrated loudness in LUFS (-Infinity if nothing rises above the absolute gate)
+     */
+    integrated() {
+        const loudness = (power) => -0.691 + 10 * Math.log10(power);
+        const blocks = [];
+        for (let end = LOUDNESS.BLOCK_SUB_BLOCKS; end <= this.subBlocks.length; end++) {
+            let power = 0;
+            for (let i = end - LOUDNESS.BLOCK_SUB_BLOCKS; i < end; i++) power += this.subBlocks[i];
+            blocks.push(power / LOUDNESS.BLOCK_SUB_BLOCKS);
+        }
+
+        const mean = (powers) => powers.reduce((sum, power) => sum + power, 0) / powers.length;
+        const audible = blocks.filter((power) => loudness(power) > LOUDNESS.ABSOLUTE_GATE_LUFS);
+        if (audible.length === 0) return -Infinity;
+
+        const relativeGate = loudness(mean(audible)) + LOUDNESS.RELATIVE_GATE_LU;
+        const gated = audible.filter((power) => loudness(power) > relativeGate);
+        return loudness(mean(gated));
+    }
+}
+
+/**
+ * Soft-knee limiter: untouched below the knee, then bent smoothly so nothing exceeds the ceiling
+ */
+function softLimit(samples) {
+    const knee = dbToGain(CONFIG.LIMITER_KNEE_DB);
+    const range = dbToGain(CONFIG.LIMITER_CEILING_DB) - knee;
+    for (let i = 0; i < samples.length; i++) {
+        const magnitude = Math.abs(samples[i]);
+        if (magnitude > knee) {
+            samples[i] = Math.sign(samples[i]) * (knee + range * Math.tanh((magnitude - knee) / range));
+        }
+    }
+    return samples;
+}
+
+export class PostProcessor {
+    /**
+     * `settings` is { highPass, noiseReduction, normalize, limiter }; returns null when every stage is off
+     */
+    static create(settings, sampleRate, channels) {
+        const { highPass = false, noiseReduction = false, normalize = 'off', limiter = false } = settings || {};
+        if (!highPass && !noiseReduction && normalize === 'off' && !limiter) return null;
+        return new PostProcessor({ highPass, noiseReduction, normalize, limiter }, sampleRate, channels);
+    }
+
+    constructor(settings, sampleRate, channels) {
+        this.settings = settings;
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.highPass = settings.highPass
+            ? new BiquadCascade([highPassSection(sampleRate, CONFIG.HIGH_PASS_HZ)], channels)
+            : null;
+        this.meter = settings.normalize !== 'off' ? new LoudnessMeter(sampleRate, channels) : null;
+        this.gain = 1;
+    }
+
+    /**
+     * Gain is only known at the end (and noise reduction needs the whole take), so then the take
+     * has to be rendered again on finish
+     */
+    get needsFinishPass() {
+        return this.meter !== null || this.settings.noiseReduction;
+    }
+
+    /**
+     * Stages that run as audio is written: high-pass, metering, and the limiter if nothing follows it
+     */
+    process(samples) {
+        let output = this.highPass ? this.highPass.process(samples) : samples;
+        this.meter?.process(output);
+        if (this.settings.limiter && !this.needsFinishPass) {
+            output = softLimit(output === samples ? samples.slice() : output);
+        }
+        return output;
+    }
+
+    /**
+     * Audio that never went through process() (the noise profile), high-passed like the take was.
+     * The filter starts from rest, so its first moments are dropped rather than taken for rumble.
+     */
+    highPassed(samples) {
+        if (!this.highPass) return samples;
+        const filter = new BiquadCascade([highPassSection(this.sampleRate, CONFIG.HIGH_PASS_HZ)], this.channels);
+        const settle = Math.round(this.sampleRate * CONFIG.HIGH_PASS_SETTLE_MS / 1000) * this.channels;
+        return filter.process(samples).subarray(Math.min(settle, samples.length));
+    }
+
+    /**
+     * Measure again from scratch with measure(), for audio that changed after process() saw it
+     */
+    restartMeter() {
+        if (this.meter) this.meter = new LoudnessMeter(this.sampleRate, this.channels);
+    }
+
+    measure(samples) {
+        this.meter?.process(samples);
+    }
+
+    /**
+     * Settle the normalisation gain once everything has been through process()
+     */
+    finish() {
+        if (!this.meter) return;
+
+        const { peak } = this.meter;
+        this.loudness = this.meter.integrated();
+        let gain = 1;
+        if (this.settings.normalize === 'peak') {
+            gain = peak > 0 ? dbToGain(CONFIG.PEAK_TARGET_DB) / peak : 1;
+        } else if (Number.isFinite(this.loudness)) {
+            gain = dbToGain(CONFIG.LOUDNESS_TARGET_LUFS - this.loudness);
+        }
+        gain = Math.min(gain, dbToGain(CONFIG.MAX_GAIN_DB));
+
+        // Without the limiter, loudness normalisation stops short of clipping
+        if (!this.settings.limiter && peak * gain > dbToGain(CONFIG.PEAK_TARGET_DB)) {
+            gain = dbToGain(CONFIG.PEAK_TARGET_DB) / peak;
+        }
+        this.gain = gain;
+    }
+
+    /**
+     * Finish-pass stages for a slice of the take: the normalisation gain, then the limiter
+     */
+    render(samples) {
+        const output = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) output[i] = samples[i] * this.gain;
+        return this.settings.limiter ? softLimit(output) : output;
+    }
+
+    /**
+     * What was done to the take, to keep with it
+     */
+    summary() {
+        const { highPass, normalize, limiter } = this.settings;
+        return {
+            highPassHz: highPass ? CONFIG.HIGH_PASS_HZ : null,
+            normalize: normalize === 'off' ? null : {
+                mode: normalize,
+                target: normalize === 'peak' ? `${CONFIG.PEAK_TARGET_DB} dBFS` : `${CONFIG.LOUDNESS_TARGET_LUFS} LUFS`,
+                measuredPeakDb: this.meter.peak > 0 ? round2(gainToDb(this.meter.peak)) : null,
+                measuredLoudnessLufs: Number.isFinite(this.loudness) ? round2(this.loudness) : null,
+                gainDb: round2(gainToDb(this.gain)),
+            },
+            limiter: limiter ? { kneeDb: CONFIG.LIMITER_KNEE_DB, ceilingDb: CONFIG.LIMITER_CEILING_DB } : null,
+        };
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Take Bundles
+ * One ZIP with the takes' WAVs and a manifest.json describing how each was captured (device rate,
+ * gaps, sample ratio, silence handling, post-processing, timestamps), built in the browser without a server.
+ */
+
+import { createZip, safeFileName, uniqueFileName } from './zip.js';
+import { latestVersion } from './take-edits.js';
+
+const MANIFEST = {
+    FORMAT: 'audio-recorder-bundle',
+    VERSION: 1,
+    FILE_NAME: 'manifest.json',
+};
+
+const isoTime = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+/**
+ * Download name for a saved take: its name, minus characters file systems reject
+ */
+export function takeFileName(take) {
+    return `${safeFileName(take.name, 'take')}.wav`;
+}
+
+/**
+ * Manifest entry for one take stored under `file`
+ */
+export function describeTake(take, file) {
+    const { silence, diagnostics } = take;
+    const audio = latestVersion(take);
+
+    return {
+        file,
+        id: take.id,
+        name: take.name,
+        startedAt: isoTime(diagnostics?.startedAt),
+        finishedAt: isoTime(take.createdAt),
+        durationSeconds: Number(audio.duration.toFixed(3)),
+        frames: audio.frames,
+        sampleRate: take.sampleRate,
+        bitDepth: take.bitDepth,
+        channels: take.channels || 1,
+        sizeBytes: audio.blob.size,
+        // The exported file is the latest edit: the parts of the recording it kept, in frames
+        edit: take.edit
+            ? { originalFrames: take.frames, segments: take.edit.history[take.edit.history.length - 1] }
+            : null,
+        silence: {
+            mode: silence?.mode || 'off',
+            removedSeconds: silence
+                ? { leading: silence.leading, pauses: silence.pauses, trailing: silence.trailing }
+                : null,
+        },
+        // Absent for takes rebuilt by crash recovery - the page that captured them is gone
+        capture: diagnostics ? {
+            deviceSampleRate: diagnostics.deviceSampleRate,
+            captureMode: diagnostics.captureMode,
+            transport: diagnostics.transport,
+            elapsedSeconds: Number(diagnostics.elapsedSeconds.toFixed(3)),
+            pausedSeconds: Number((diagnostics.pausedSeconds || 0).toFixed(3)),
+            callbacks: diagnostics.callbacks,
+            samplesReceived: diagnostics.samplesReceived,
+            sampleRatio: Number(diagnostics.sampleRatio.toFixed(4)),
+            gaps: diagnostics.gaps,
+            longestGapMs: Math.round(diagnostics.longestGapMs),
+            ringOverflows: diagnostics.ringOverflows,
+        } : null,
+        // High-pass, noise reduction, normalisation and limiter settings, with the gain normalisation applied
+        processing: take.processing || null,
+        prompt: take.prompt || null,
+    };
+}
+
+/**
+ * ZIP of the given takes plus manifest.json
+ */
+export async function createTakeBundle(takes) {
+    const used = new Set([MANIFEST.FILE_NAME]);
+    const entries = [];
+    const described = [];
+
+    for (const take of takes) {
+        const file = uniqueFileName(takeFileName(take), used);
+        entries.push({ name: file, data: latestVersion(take).blob, lastModified: take.createdAt });
+        described.push(describeTake(take, file));
+    }
+
+    const manifest = {
+        format: MANIFEST.FORMAT,
+        version: MANIFEST.VERSION,
+        exportedAt: new Date().toISOString(),
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+        takes: described,
+    };
+    entries.push({ name: MANIFEST.FILE_NAME, data: JSON.stringify(manifest, null, 2) });
+
+    return createZip(entries);
+}
@@ -0,0 +1,323 @@
+/**
+ * FLAC Encoder (worker only)
+ * Lossless compression of a finished take in plain JavaScript, read from the WAV a slice at a
+ * time. Each channel of each frame is coded with the best fixed polynomial predictor (orders 0-4)
+ * and partitioned Rice residuals - simpler than libFLAC's LPC modes, a little larger, still
+ * typically around half the size of the WAV for speech.
+ * FLAC has no float samples: 32-bit float takes are stored as 24-bit integers.
+ */
+
+const CONFIG = {
+    BLOCK_SIZE: 4096,           // Samples per channel in each frame
+    MAX_PARTITION_ORDER: 6,     // Rice partitions per subframe: up to 2^6
+    BLOCKS_PER_READ: 32,        // Frames' worth of audio decoded from the WAV at a time
+};
+
+// Frame header codes for common rates; others are taken from STREAMINFO (code 0)
+const SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+    24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11,
+};
+const SAMPLE_SIZE_CODES = { 16: 4, 24: 6 };
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let n = 0; n < 256; n++) {
+    let crc8 = n;
+    let crc16 = n << 8;
+    for (let k = 0; k < 8; k++) {
+        crc8 = crc8 & 0x80 ? (crc8 << 1) ^ 0x07 : crc8 << 1;
+        crc16 = crc16 & 0x8000 ? (crc16 << 1) ^ 0x8005 : crc16 << 1;
+    }
+    CRC8_TABLE[n] = crc8;
+    CRC16_TABLE[n] = crc16;
+}
+
+/**
+ * MSB-first bit packer into a growable byte array
+ */
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+        this.pending = 0;       // Bits not yet forming a whole byte (fewer than 8)
+        this.pendingBits = 0;
+    }
+
+    /**
+     * Append the low `count` bits of non-negative `value` (count <= 32)
+     */
+    write(value, count) {
+        if (count > 24) {
+            this.write(Math.floor(value / 0x10000), count - 16);
+            this.write(value & 0xffff, 16);
+            return;
+        }
+        this.pending = (this.pending << count) | value;
+        this.pendingBits += count;
+        while (this.pendingBits >= 8) {
+            this.pendingBits -= 8;
+            if (this.length === this.bytes.length) this._grow();
+            this.bytes[this.length++] = (this.pending >>> this.pendingBits) & 0xff;
+        }
+        this.pending &= (1 << this.pendingBits) - 1;
+    }
+
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + 2 ** bits : value, bits);
+    }
+
+    // `count` zeros then a one
+    writeUnary(count) {
+        for (; count >= 24; count -= 24) this.write(0, 24);
+        this.write(1, count + 1);
+    }
+
+    alignToByte() {
+        if (this.pendingBits > 0) this.write(0, 8 - this.pendingBits);
+    }
+
+    _grow() {
+        const bytes = new Uint8Array(this.bytes.length * 2);
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+    }
+}
+
+// Residuals of the fixed predictors; coefficients are rows of Pascal's triangle with alternating signs
+function fixedResidual(samples, order, residual) {
+    for (let i = order; i < samples.length; i++) {
+        const s = samples;
+        switch (order) {
+            case 0: residual[i] = s[i]; break;
+            case 1: residual[i] = s[i] - s[i - 1]; break;
+            case 2: residual[i] = s[i] - 2 * s[i - 1] + s[i - 2]; break;
+            case 3: residual[i] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break;
+            default: residual[i] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4];
+        }
+    }
+}
+
+// Signed residual to the unsigned value Rice coding works on: 0, -1, 1, -2... -> 0, 1, 2, 3...
+const fold = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+/**
+ * Pick the Rice partition order and per-partition parameters for folded residuals[order..]
+ */
+function planRice(folded, order, maxParameter) {
+    const blockSize = folded.length;
+    let maxPartitionOrder = 0;
+    while (maxPartitionOrder < CONFIG.MAX_PARTITION_ORDER
+        && blockSize % (2 << maxPartitionOrder) === 0
+        && (blockSize >> (maxPartitionOrder + 1)) > order) {
+        maxPartitionOrder++;
+    }
+
+    // Sums at the finest partitioning; coarser ones are merged from them
+    let sums = new Float64Array(1 << maxPartitionOrder);
+    const finest = blockSize >> maxPartitionOrder;
+    for (let i = order; i < blockSize; i++) sums[Math.floor(i / finest)] += folded[i];
+
+    let best = null;
+    for (let partitionOrder = maxPartitionOrder; partitionOrder >= 0; partitionOrder--) {
+        const partitions = 1 << partitionOrder;
+        const parameters = new Uint8Array(partitions);
+        let bits = 0;
+
+        for (let p = 0; p < partitions; p++) {
+            const count = (blockSize >> partitionOrder) - (p === 0 ? order : 0);
+            const mean = count > 0 ? sums[p] / count : 0;
+            let k = mean > 1 ? Math.min(maxParameter, Math.floor(Math.log2(mean))) : 0;
+            // Estimated cost: unary quotients plus k+1 bits per value; k+1 is sometimes cheaper
+            const cost = (param) => count * (param + 1) + Math.floor(sums[p] / 2 ** param);
+            if (k < maxParameter && cost(k + 1) < cost(k)) k++;
+            parameters[p] = k;
+            bits += cost(k);
+        }
+
+        if (!best || bits < best.bits) best = { partitionOrder, parameters, bits };
+        if (partitionOrder > 0) {
+            const merged = new Float64Array(partitions / 2);
+            for (let p = 0; p < merged.length; p++) merged[p] = sums[2 * p] + sums[2 * p + 1];
+            sums = merged;
+        }
+    }
+    return best;
+}
+
+/**
+ * One channel of one frame: CONSTANT, the cheapest FIXED predictor, or VERBATIM
+ */
+function writeSubframe(writer, samples, bitsPerSample, scratch) {
+    const blockSize = samples.length;
+
+    if (samples.every((value) => value === samples[0])) {
+        writer.write(0b00000000, 8);
+        writer.writeSigned(samples[0], bitsPerSample);
+        return;
+    }
+
+    // Cheapest predictor by total absolute residual
+    let order = 0;
+    let bestSum = Infinity;
+    for (let candidate = 0; candidate <= Math.min(4, blockSize - 1); candidate++) {
+        fixedResidual(samples, candidate, scratch);
+        let sum = 0;
+        for (let i = candidate; i < blockSize; i++) sum += Math.abs(scratch[i]);
+        if (sum < bestSum) {
+            bestSum = sum;
+            order = candidate;
+        }
+    }
+
+    fixedResidual(samples, order, scratch);
+    const folded = new Float64Array(blockSize);
+    for (let i = order; i < blockSize; i++) folded[i] = fold(scratch[i]);
+
+    // 5-bit Rice parameters (method 1) when residuals of deep samples need parameters above 14
+    const method = bitsPerSample > 16 ? 1 : 0;
+    const maxParameter = method === 1 ? 30 : 14;
+    const plan = planRice(folded, order, maxParameter);
+
+    if (order * bitsPerSample + plan.bits >= blockSize * bitsPerSample) {
+        writer.write(0b00000010, 8);
+        for (let i = 0; i < blockSize; i++) writer.writeSigned(samples[i], bitsPerSample);
+        return;
+    }
+
+    writer.write((0b001000 | order) << 1, 8);
+    for (let i = 0; i < order; i++) writer.writeSigned(samples[i], bitsPerSample);
+
+    writer.write(method, 2);
+    writer.write(plan.partitionOrder, 4);
+    const partitionSize = blockSize >> plan.partitionOrder;
+    for (let p = 0; p < plan.parameters.length; p++) {
+        const k = plan.parameters[p];
+        writer.write(k, method === 1 ? 5 : 4);
+        const end = (p + 1) * partitionSize;
+        for (let i = Math.max(order, p * partitionSize); i < end; i++) {
+            const value = folded[i];
+            const quotient = Math.floor(value / 2 ** k);
+            writer.writeUnary(quotient);
+            if (k > 0) writer.write(value - quotient * 2 ** k, k);
+        }
+    }
+}
+
+// Frame numbers are coded like UTF-8 code points (up to 6 bytes)
+function writeFrameNumber(writer, number) {
+    if (number < 0x80) {
+        writer.write(number, 8);
+        return;
+    }
+    let continuation = 1;
+    while (number >= 2 ** (5 * continuation + 6)) continuation++;
+    const lead = (0xff00 >> (continuation + 1)) & 0xff;
+    writer.write(lead | Math.floor(number / 2 ** (6 * continuation)), 8);
+    for (let i = continuation - 1; i >= 0; i--) {
+        writer.write(0x80 | (Math.floor(number / 2 ** (6 * i)) & 0x3f), 8);
+    }
+}
+
+function encodeFrame(channelSamples, frameNumber, sampleRate, bitsPerSample, scratch) {
+    const blockSize = channelSamples[0].length;
+    const writer = new BitWriter(channelSamples.length * blockSize * (bitsPerSample / 8) + 64);
+
+    writer.write(0b11111111111110, 14);     // Sync
+    writer.write(0, 2);                     // Reserved, fixed block size
+    writer.write(0b0111, 4);                // Block size - 1 follows as 16 bits
+    writer.write(SAMPLE_RATE_CODES[sampleRate] || 0, 4);
+    writer.write(channelSamples.length - 1, 4);   // Independent channels
+    writer.write(SAMPLE_SIZE_CODES[bitsPerSample] || 0, 3);
+    writer.write(0, 1);
+    writeFrameNumber(writer, frameNumber);
+    writer.write(blockSize - 1, 16);
+
+    let crc8 = 0;
+    for (let i = 0; i < writer.length; i++) crc8 = CRC8_TABLE[crc8 ^ writer.bytes[i]];
+    writer.write(crc8, 8);
+
+    for (const samples of channelSamples) writeSubframe(writer, samples, bitsPerSample, scratch);
+    writer.alignToByte();
+
+    let crc16 = 0;
+    for (let i = 0; i < writer.length; i++) crc16 = ((crc16 << 8) ^ CRC16_TABLE[(crc16 >> 8) ^ writer.bytes[i]]) & 0xffff;
+    writer.write(crc16, 16);
+
+    return writer.bytes.slice(0, writer.length);
+}
+
+function buildStreamInfo({ sampleRate, channels, bitsPerSample, totalFrames, minFrameSize, maxFrameSize }) {
+    const blockSize = Math.max(16, Math.min(CONFIG.BLOCK_SIZE, totalFrames));
+    const writer = new BitWriter(42);
+
+    for (const char of 'fLaC') writer.write(char.charCodeAt(0), 8);
+    writer.write(1, 1);                     // Last metadata block
+    writer.write(0, 7);                     // STREAMINFO
+    writer.write(34, 24);
+    writer.write(blockSize, 16);            // Min and max block size (the last frame may be shorter)
+    writer.write(blockSize, 16);
+    writer.write(minFrameSize, 24);
+    writer.write(maxFrameSize, 24);
+    writer.write(sampleRate, 20);
+    writer.write(channels - 1, 3);
+    writer.write(bitsPerSample - 1, 5);
+    writer.write(Math.floor(totalFrames / 2 ** 32), 4);
+    writer.write(totalFrames >>> 0, 32);
+    for (let i = 0; i < 16; i++) writer.write(0, 8);   // MD5 of the audio: not computed
+
+    return writer.bytes.slice(0, writer.length);
+}
+
+/**
+ * Encode the audio of a WavReader as a FLAC Blob
+ */
+export async function encodeFlac(reader) {
+    const { format, sampleRate, frames } = reader;
+    const { channels } = format;
+    const bitsPerSample = format.isFloat ? 24 : format.bitDepth;
+    // decodeSamples scales by 2^(bits-1), so this recovers PCM samples exactly
+    const scale = 2 ** (bitsPerSample - 1);
+
+    if (channels > 8) throw new Error('FLAC supports at most 8 channels');
+
+    const parts = [];
+    const scratch = new Int32Array(CONFIG.BLOCK_SIZE);
+    let frameNumber = 0;
+    let minFrameSize = Infinity;
+    let maxFrameSize = 0;
+
+    const readSize = CONFIG.BLOCK_SIZE * CONFIG.BLOCKS_PER_READ;
+    for (let readStart = 0; readStart < frames; readStart += readSize) {
+        const interleaved = await reader.read(readStart, Math.min(frames, readStart + readSize));
+        const readFrames = interleaved.length / channels;
+
+        for (let blockStart = 0; blockStart < readFrames; blockStart += CONFIG.BLOCK_SIZE) {
+            const blockSize = Math.min(CONFIG.BLOCK_SIZE, readFrames - blockStart);
+            const channelSamples = [];
+            for (let channel = 0; channel < channels; channel++) {
+                const samples = new Int32Array(blockSize);
+                for (let i = 0; i < blockSize; i++) {
+                    const value = Math.round(interleaved[(blockStart + i) * channels + channel] * scale);
+                    samples[i] = Math.max(-scale, Math.min(scale - 1, value));
+                }
+                channelSamples.push(samples);
+            }
+
+            const frame = encodeFrame(channelSamples, frameNumber++, sampleRate, bitsPerSample, scratch);
+            minFrameSize = Math.min(minFrameSize, frame.length);
+            maxFrameSize = Math.max(maxFrameSize, frame.length);
+            parts.push(frame);
+        }
+    }
+
+    const streamInfo = buildStreamInfo({
+        sampleRate,
+        channels,
+        bitsPerSample,
+        totalFrames: frames,
+        minFrameSize: frames > 0 ? minFrameSize : 0,
+        maxFrameSize,
+    });
+    return new Blob([streamInfo, ...parts], { type: 'audio/flac' });
+}
@@ -0,0 +1,61 @@
+/**
+ * IndexedDB Helpers
+ * Promise wrappers and the recorder's database schema (shared by the worker and the page)
+ */
+
+const DB_NAME = 'audio-recorder';
+const DB_VERSION = 2;  // 2: takes
+
+export const STORES = {
+    SESSIONS: 'sessions',   // In-progress recordings, for crash recovery
+    CHUNKS: 'chunks',       // PCM checkpoints of in-memory recordings
+    TAKES: 'takes',         // Finished recordings kept for the session manager
+};
+
+/**
+ * Resolve with a request's result (or reject with its error)
+ */
+export function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+export function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+let dbPromise = null;
+
+export function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+                db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.CHUNKS)) {
+                const chunks = db.createObjectStore(STORES.CHUNKS, { autoIncrement: true });
+                chunks.createIndex('session', 'session');
+            }
+            if (!db.objectStoreNames.contains(STORES.TAKES)) {
+                const takes = db.createObjectStore(STORES.TAKES, { keyPath: 'id' });
+                takes.createIndex('createdAt', 'createdAt');
+            }
+        };
+        dbPromise = promisify(request).catch((err) => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
@@ -0,0 +1,234 @@
+/**
+ * Live Waveform and Level Meter
+ * LevelAnalyzer summarises incoming audio into waveform columns plus peak/RMS/clip state, and
+ * WaveformView draws them on a canvas. Both run in the audio worker when the page can hand over
+ * an OffscreenCanvas, so the main thread does nothing per chunk; otherwise the worker posts the
+ * summaries and the page draws them.
+ */
+
+const CONFIG = {
+    COLUMNS_PER_SECOND: 100,        // Waveform scroll speed (one pixel column each)
+    RMS_WINDOW_MS: 300,             // Averaging time of the RMS bar
+    PEAK_FALL_DB_PER_SECOND: 24,    // How fast the peak bar falls back
+    PEAK_HOLD_MS: 1000,             // How long the peak-hold line stays put
+    CLIP_LEVEL: 0.999,              // A sample at or above this (absolute) counts as clipped
+    CLIP_HOLD_MS: 1500,             // How long the clip indicator stays lit
+    FLOOR_DB: -60,                  // Bottom of the meter scale
+};
+
+const COLORS = {
+    wave: '#4facfe',
+    centre: 'rgba(255, 255, 255, 0.15)',
+    meterBack: 'rgba(255, 255, 255, 0.08)',
+    rms: '#00f2fe',
+    peak: 'rgba(79, 172, 254, 0.5)',
+    hot: '#f5a623',                 // Meter above -6 dBFS
+    clip: '#f5576c',
+};
+
+const HOT_DB = -6;
+
+const toDb = (amplitude) => 20 * Math.log10(amplitude + 1e-9);
+
+export class LevelAnalyzer {
+    /**
+     * Audio with several channels arrives interleaved; the waveform and meter follow whichever is loudest
+     */
+    constructor(sampleRate, channels = 1) {
+        this.channels = channels;
+        this.samplesPerColumn = Math.max(1, Math.round(sampleRate / CONFIG.COLUMNS_PER_SECOND));
+        this.columnSeconds = this.samplesPerColumn / sampleRate;
+        this.rmsAlpha = 1 - Math.exp(-this.columnSeconds * 1000 / CONFIG.RMS_WINDOW_MS);
+        this.holdColumns = Math.round(CONFIG.PEAK_HOLD_MS / 1000 / this.columnSeconds);
+        this.clipHoldColumns = Math.round(CONFIG.CLIP_HOLD_MS / 1000 / this.columnSeconds);
+
+        this.columns = [];          // [min, max] pairs finished since the last take()
+        this.columnMin = 0;
+        this.columnMax = 0;
+        this.columnSquares = 0;
+        this.columnClipped = false;
+        this.columnFill = 0;
+
+        this.meanSquare = 0;
+        this.peakDb = CONFIG.FLOOR_DB;
+        this.holdDb = CONFIG.FLOOR_DB;
+        this.holdLeft = 0;          // Columns until the hold line starts falling
+        this.clipLeft = 0;          // Columns until the clip indicator goes out
+        this.clipStarted = false;   // Clipping began since the last take()
+        this.hasNewAudio = false;
+    }
+
+    process(samples) {
+        const { channels } = this;
+        for (let i = 0; i < samples.length; i += channels) {
+            let squares = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = samples[i + channel];
+                if (sample < this.columnMin) this.columnMin = sample;
+                if (sample > this.columnMax) this.columnMax = sample;
+                if (sample >= CONFIG.CLIP_LEVEL || sample <= -CONFIG.CLIP_LEVEL) this.columnClipped = true;
+                squares = Math.max(squares, sample * sample);
+            }
+            this.columnSquares += squares;
+
+            if (++this.columnFill === this.samplesPerColumn) this._endColumn();
+        }
+        if (samples.length > 0) this.hasNewAudio = true;
+    }
+
+    _endColumn() {
+        this.columns.push(this.columnMin, this.columnMax);
+
+        // Meter ballistics advance per column, so they follow audio time rather than render rate
+        this.meanSquare += (this.columnSquares / this.columnFill - this.meanSquare) * this.rmsAlpha;
+
+        const columnPeakDb = toDb(Math.max(this.columnMax, -this.columnMin));
+        this.peakDb = Math.max(columnPeakDb, this.peakDb - CONFIG.PEAK_FALL_DB_PER_SECOND * this.columnSeconds);
+
+        if (columnPeakDb >= this.holdDb) {
+            this.holdDb = columnPeakDb;
+            this.holdLeft = this.holdColumns;
+        } else if (this.holdLeft > 0) {
+            this.holdLeft--;
+        } else {
+            this.holdDb = this.peakDb;
+        }
+
+        if (this.columnClipped) {
+            if (this.clipLeft === 0) this.clipStarted = true;
+            this.clipLeft = this.clipHoldColumns;
+        } else if (this.clipLeft > 0) {
+            this.clipLeft--;
+        }
+
+        this.columnMin = 0;
+        this.columnMax = 0;
+        this.columnSquares = 0;
+        this.columnClipped = false;
+        this.columnFill = 0;
+    }
+
+    /**
+     * Everything since the last call, or null if no audio arrived in between.
+     * `columns` is a Float32Array of min/max pairs (transferable).
+     */
+    take() {
+        if (!this.hasNewAudio) return null;
+
+        const levels = {
+            columns: new Float32Array(this.columns),
+            rmsDb: toDb(Math.sqrt(this.meanSquare)),
+            peakDb: this.peakDb,
+            holdDb: this.holdDb,
+            clipping: this.clipLeft > 0,
+            clipStarted: this.clipStarted,
+        };
+        this.columns.length = 0;
+        this.clipStarted = false;
+        this.hasNewAudio = false;
+        return levels;
+    }
+}
+
+/**
+ * Scrolling waveform on the left of the canvas, vertical meter on the right.
+ * Works with an HTMLCanvasElement or an OffscreenCanvas.
+ */
+export class WaveformView {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this._layout();
+    }
+
+    resize(width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this._layout();
+    }
+
+    _layout() {
+        const { width, height } = this.canvas;
+        this.meterWidth = Math.max(8, Math.round(width * 0.04));
+        this.clipHeight = Math.max(4, Math.round(height * 0.1));
+        this.waveWidth = Math.max(0, width - this.meterWidth * 2);
+        this.clear();
+    }
+
+    clear() {
+        const { context } = this;
+        const { width, height } = this.canvas;
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = COLORS.centre;
+        context.fillRect(0, Math.floor(height / 2), this.waveWidth, 1);
+        this._drawMeter({ rmsDb: -Infinity, peakDb: -Infinity, holdDb: -Infinity, clipping: false });
+    }
+
+    draw(levels) {
+        this._scroll(levels.columns);
+        this._drawMeter(levels);
+    }
+
+    _scroll(columns) {
+        const { context, waveWidth } = this;
+        const height = this.canvas.height;
+        const count = Math.min(columns.length / 2, waveWidth);
+        if (count === 0) return;
+
+        // Shift what's there left by the number of new columns, then paint the new ones on the right
+        const kept = waveWidth - count;
+        if (kept > 0) {
+            context.drawImage(this.canvas, count, 0, kept, height, 0, 0, kept, height);
+        }
+        context.clearRect(kept, 0, count, height);
+        context.fillStyle = COLORS.centre;
+        context.fillRect(kept, Math.floor(height / 2), count, 1);
+
+        const mid = height / 2;
+        const first = columns.length / 2 - count;
+        context.fillStyle = COLORS.wave;
+        for (let i = 0; i < count; i++) {
+            const min = columns[(first + i) * 2];
+            const max = columns[(first + i) * 2 + 1];
+            const top = Math.floor(mid - max * mid);
+            const bottom = Math.ceil(mid - min * mid);
+            context.fillRect(kept + i, top, 1, Math.max(1, bottom - top));
+        }
+    }
+
+    _drawMeter({ rmsDb, peakDb, holdDb, clipping }) {
+        const { context, meterWidth, clipHeight } = this;
+        const { width, height } = this.canvas;
+        const x = width - meterWidth;
+        const top = clipHeight + 2;
+        const span = height - top;
+        const levelY = (db) => top + span * (1 - Math.min(1, Math.max(0, (db - CONFIG.FLOOR_DB) / -CONFIG.FLOOR_DB)));
+        const hotY = levelY(HOT_DB);
+
+        context.clearRect(x, 0, meterWidth, height);
+
+        context.fillStyle = clipping ? COLORS.clip : COLORS.meterBack;
+        context.fillRect(x, 0, meterWidth, clipHeight);
+
+        context.fillStyle = COLORS.meterBack;
+        context.fillRect(x, top, meterWidth, span);
+
+        // Peak behind, RMS in front; the part above -6 dBFS turns amber
+        const bar = (db, color) => {
+            const y = levelY(db);
+            context.fillStyle = color;
+            context.fillRect(x, y, meterWidth, height - y);
+            if (y < hotY) {
+                context.fillStyle = COLORS.hot;
+                context.fillRect(x, y, meterWidth, hotY - y);
+            }
+        };
+        bar(peakDb, COLORS.peak);
+        bar(rmsDb, COLORS.rms);
+
+        if (holdDb > CONFIG.FLOOR_DB) {
+            context.fillStyle = holdDb >= HOT_DB ? COLORS.hot : COLORS.wave;
+            context.fillRect(x, Math.floor(levelY(holdDb)), meterWidth, 2);
+        }
+    }
+}
@@ -2,6 +2,9 @@
 // Simpler but less control over raw audio data
 // Note: This records in the browser's native format, then converts to WAV
 
+import { Resampler } from "./resampler.js";
+import { shapeSilence } from "./silence.js";
+
 document.addEventListener("DOMContentLoaded", () => {
     const recordBtn = document.getElementById("recordBtn");
     const downloadBtn = document.getElementById("downloadBtn");
@@ -15,6 +18,7 @@ document.addEventListener("DOMContentLoaded", () => {
 let mediaRecorder = null;
 let audioChunks = [];
 let wavResult = null;
+let wavSampleRate = 16000;
 let stream = null;
 
 // ---------------- START / STOP ----------------
@@ -56,8 +60,9 @@ async function toggleRecording() {
         mediaRecorder.onstop = async () => {
             const audioBlob = new Blob(audioChunks, { type: mimeType });
 
-            // Convert to WAV using AudioContext
-            wavResult = await convertToWav16k(audioBlob);
+            // Convert to WAV at the rate chosen in the dropdown
+            wavSampleRate = parseInt(document.getElementById("sampleRate").value, 10) || 16000;
+            wavResult = await convertToWav(audioBlob, wavSampleRate);
             downloadBtn.disabled = false;
 
             // Stop all tracks
@@ -77,7 +82,7 @@ async function toggleRecording() {
 
 // ---------------- CONVERT TO WAV ----------------
 
-async function convertToWav16k(audioBlob) {
+async function convertToWav(audioBlob, targetRate) {
     // Decode the recorded audio
     const arrayBuffer = await audioBlob.arrayBuffer();
     const audioCtx = new AudioContext({ sampleRate: 48000 });
@@ -94,46 +99,24 @@ async function convertToWav16k(audioBlob) {
     // Get the raw PCM data (mono)
     const float32 = audioBuffer.getChannelData(0);
 
-    // Downsample to 16kHz
-    const pcm16 = downsampleTo16k(float32, audioBuffer.sampleRate);
-
-    // Apply silence removal if checkbox is checked
-    const removeSilence = document.getElementById("removeSilence")?.checked;
-    let finalPcm = pcm16;
+    // Resample to the target rate (band-limited, so nothing above the new Nyquist folds back)
+    let resampled = float32;
+    if (audioBuffer.sampleRate !== targetRate) {
+        const resampler = new Resampler(audioBuffer.sampleRate, targetRate);
+        const body = resampler.process(float32);
+        const tail = resampler.flush();
 
-    if (removeSilence) {
-        finalPcm = removeSilentFrames(pcm16);
+        resampled = new Float32Array(body.length + tail.length);
+        resampled.set(body, 0);
+        resampled.set(tail, body.length);
     }
 
-    audioCtx.close();
-    return buildWav(finalPcm);
-}
-
-function removeSilentFrames(pcm16) {
-    // Process in chunks similar to the worklet version
-    const chunkSize = 512;
-    const nonSilentChunks = [];
-
-    for (let i = 0; i < pcm16.length; i += chunkSize) {
-        const chunk = pcm16.slice(i, Math.min(i + chunkSize, pcm16.length));
-        if (!isSilentFrame(chunk)) {
-            nonSilentChunks.push(chunk);
-        }
-    }
-
-    // Merge chunks
-    let total = 0;
-    nonSilentChunks.forEach(c => total += c.length);
-
-    const result = new Int16Array(total);
-    let offset = 0;
+    // Apply the selected silence mode (same modes as the live recorder)
+    const silenceMode = document.getElementById("silenceMode")?.value || "off";
+    const finalSamples = shapeSilence(resampled, targetRate, silenceMode);
 
-    for (const c of nonSilentChunks) {
-        result.set(c, offset);
-        offset += c.length;
-    }
-
-    return result;
+    audioCtx.close();
+    return buildWav(floatTo16Bit(finalSamples), targetRate);
 }
 
 // ---------------- DOWNLOAD ----------------
@@ -145,31 +128,23 @@ function downloadRecording() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = "recording_16k.wav";
+    a.download = `recording_${wavSampleRate / 1000}k.wav`;
     a.click();
     URL.revokeObjectURL(url);
 }
 
 // ---------------- UTILITIES ----------------
 
-function downsampleTo16k(input, rate) {
-    const ratio = rate / 16000;
-    const length = Math.floor(input.length / ratio);
-    const output = new Int16Array(length);
-
-    for (let i = 0; i < length; i++) {
-        const idx = i * ratio;
-        const i0 = Math.floor(idx);
-        const i1 = Math.min(i0 + 1, input.length - 1);
-        const frac = idx - i0;
-
-        const sample = input[i0] * (1 - frac) + input[i1] * frac;
+function floatTo16Bit(input) {
+    const output = new Int16Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        const sample = Math.max(-1, Math.min(1, input[i]));
         output[i] = sample * 0x7fff;
     }
     return output;
 }
 
-function buildWav(samples) {
+function buildWav(samples, sampleRate) {
     const buffer = new ArrayBuffer(44 + samples.length * 2);
     const view = new DataView(buffer);
 
@@ -181,8 +156,8 @@ function buildWav(samples) {
     view.setUint32(16, 16, true);
     view.setUint16(20, 1, true);
     view.setUint16(22, 1, true);
-    view.setUint32(24, 16000, true);
-    view.setUint32(28, 16000 * 2, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
     view.setUint16(32, 2, true);
     view.setUint16(34, 16, true);
 
@@ -203,14 +178,3 @@ function write(view, offset, text) {
         view.setUint8(offset + i, text.charCodeAt(i));
     }
 }
-
-function isSilentFrame(int16) {
-    let sum = 0;
-    for (let i = 0; i < int16.length; i++) {
-        const v = int16[i];
-        sum += v * v;
-    }
-    const rms = Math.sqrt(sum / int16.length);
-
-    return rms < 25;
-}
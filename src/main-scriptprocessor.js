@@ -1,19 +1,57 @@
+import { RingBuffer } from './ring-buffer.js';
+import { interleave } from './channels.js';
+import { ChunkedUploader } from './uploader.js';
+import { WaveformView } from './level-meter.js';
+import { TakeReview } from './take-review.js';
+import { EditList, latestVersion } from './take-edits.js';
+import { saveTake, listTakes, updateTake, deleteTake } from './take-store.js';
+import { safeFileName } from './zip.js';
+import { createTakeBundle, takeFileName } from './export-bundle.js';
+import { PromptSession, parsePrompts } from './prompt-session.js';
+
 const AudioRecorder = (() => {
     const CONFIG = {
-        SAMPLE_RATE: 16000,  // Record directly at 16kHz - no downsampling needed
+        SAMPLE_RATE: 16000,  // Default target rate; the Sample Rate dropdown overrides it
         BUFFER_SIZE: 4096,
-        SILENCE_THRESHOLD: 25,
-        BIT_DEPTH: 16,
-        CHANNELS: 1,
+        BIT_DEPTH: 16,  // Default; the Bit Depth dropdown overrides it (16 dithered, 24, 32 float)
+        CHANNELS: 1,    // Default; the Channels dropdown overrides it
+        USE_RING_BUFFER: true,  // Shared-memory capture when cross-origin isolated, else postMessage
+        RING_SECONDS: 2,        // Ring capacity - how far the worker may fall behind before overflow
+        SOFTWARE_NAME: 'Audio Recorder',    // ISFT / bext originator of embedded metadata
+        MAX_EMBEDDED_GAPS: 200,             // Gaps listed one by one in the WAV's diagnostics chunk
+    };
+
+    // Download/upload formats; anything but WAV is encoded from the finished take by the worker
+    const EXPORT_FORMATS = {
+        wav: { label: 'WAV', extension: 'wav', mimeType: 'audio/wav' },
+        flac: { label: 'FLAC', extension: 'flac', mimeType: 'audio/flac' },
+        opus: { label: 'Ogg Opus', extension: 'ogg', mimeType: 'audio/ogg; codecs=opus' },
     };
 
     const state = {
         audioContext: null,
-        scriptProcessor: null,
+        scriptProcessor: null,  // Fallback capture node when AudioWorklet isn't available
+        workletNode: null,      // AudioWorklet capture node (preferred)
+        captureMode: null,      // 'worklet' or 'scriptprocessor'
+        ringBuffer: null,       // SharedArrayBuffer ring to the worker (null = postMessage transport)
+        mediaStream: null,      // getUserMedia stream of the microphone in use
         mediaSource: null,
+        capturePaused: false,   // Capture node is alive but dropping input
+        pauseReasons: new Set(),    // Why capture is paused: 'user' (Pause button) and/or 'input' (mic lost)
+        pauseCount: 0,              // User pauses in this take, for cue labels
+        pendingCueLabel: null,      // Label for the pause the worklet is about to report
         audioWorker: null,      // Web Worker for processing
-        finalWavBuffer: null,
+        finalWav: null,         // Finished take as a Blob (an OPFS-backed File when available)
+        finalWavId: null,       // Identifies the take for resumable uploads
+        upload: null,           // ChunkedUploader while an upload is running
         isProcessingComplete: false,
+        targetSampleRate: CONFIG.SAMPLE_RATE,   // Rate picked for the current recording
+        outputSampleRate: CONFIG.SAMPLE_RATE,   // Rate of the WAV the worker produced
+        outputBitDepth: CONFIG.BIT_DEPTH,       // Bit depth of the WAV the worker produced
+        channels: CONFIG.CHANNELS,              // Channels captured in the current recording
+        outputChannels: CONFIG.CHANNELS,        // Channels of the WAV the worker produced
+        takeDiagnostics: null,  // summarizeDiagnostics() of the last take, saved with it
+        savingTake: null,       // Promise while the finished take is written to the takes store
         wakeLock: null,         // Wake Lock to prevent screen sleep
     };
 
@@ -27,6 +65,8 @@ const AudioRecorder = (() => {
         actualSampleRate: null,      // Track actual device sample rate
         gaps: [],
         expectedIntervalMs: null,
+        pausedMs: 0,                 // Time capture was paused (e.g. while the input was switched)
+        pausedAt: null,              // performance.now() of the current pause
     };
 
     const resetDiagnostics = () => {
@@ -38,20 +78,113 @@ const AudioRecorder = (() => {
         diagnostics.actualSampleRate = null;
         diagnostics.gaps = [];
         diagnostics.expectedIntervalMs = null;
+        diagnostics.pausedMs = 0;
+        diagnostics.pausedAt = null;
+    };
+
+    // Capture time since the first callback, leaving out pauses - no audio is expected while paused
+    const activeMs = (now = performance.now()) => {
+        const pausedNow = diagnostics.pausedAt !== null ? now - diagnostics.pausedAt : 0;
+        return now - diagnostics.startTime - diagnostics.pausedMs - pausedNow;
+    };
+
+    const setDiagnosticsPaused = (paused) => {
+        const now = performance.now();
+        if (paused) {
+            // Before the first callback there's no clock running to pause
+            if (diagnostics.startTime !== null && diagnostics.pausedAt === null) diagnostics.pausedAt = now;
+        } else if (diagnostics.pausedAt !== null) {
+            diagnostics.pausedMs += now - diagnostics.pausedAt;
+            diagnostics.pausedAt = null;
+            // The silence while paused isn't a gap
+            diagnostics.lastCallbackTime = now;
+        }
+    };
+
+    // Record one capture callback (ScriptProcessor event or AudioWorklet batch) and check for gaps
+    const trackCallback = (frameCount) => {
+        const now = performance.now();
+
+        // Initialize timing on first callback
+        if (diagnostics.startTime === null) {
+            diagnostics.startTime = now;
+            diagnostics.lastCallbackTime = now;
+        }
+
+        // Track timing gaps
+        const elapsed = now - diagnostics.lastCallbackTime;
+        const threshold = diagnostics.expectedIntervalMs * 1.8;
+
+        if (diagnostics.callbackCount > 0 && elapsed > threshold) {
+            diagnostics.gaps.push({
+                timestamp: now,
+                gapMs: elapsed,
+                expectedMs: diagnostics.expectedIntervalMs,
+            });
+            const timeInRecording = (now - diagnostics.startTime) / 1000;
+            console.warn(`⚠️ Audio gap at ${timeInRecording.toFixed(2)}s: ${elapsed.toFixed(0)}ms`);
+            DiagnosticUI.addAlert(`Gap at ${timeInRecording.toFixed(1)}s: ${elapsed.toFixed(0)}ms`, 'warning');
+        }
+
+        diagnostics.lastCallbackTime = now;
+        diagnostics.callbackCount++;
+        diagnostics.totalSamplesReceived += frameCount;
+    };
+
+    // Capture conditions of the take just stopped, kept with it in the takes list
+    const summarizeDiagnostics = () => {
+        const elapsedSec = activeMs() / 1000;
+        const actualRate = diagnostics.actualSampleRate || state.targetSampleRate;
+        const expectedSamples = elapsedSec * actualRate;
+
+        return {
+            startedAt: Date.now() - (performance.now() - diagnostics.startTime),
+            deviceSampleRate: actualRate,
+            captureMode: state.captureMode,
+            transport: state.ringBuffer ? 'ring' : 'postMessage',
+            elapsedSeconds: elapsedSec,
+            pausedSeconds: (performance.now() - diagnostics.startTime - activeMs()) / 1000,
+            callbacks: diagnostics.callbackCount,
+            samplesReceived: diagnostics.totalSamplesReceived,
+            sampleRatio: expectedSamples > 0 ? diagnostics.totalSamplesReceived / expectedSamples : 1,
+            gaps: diagnostics.gaps.length,
+            longestGapMs: diagnostics.gaps.reduce((longest, gap) => Math.max(longest, gap.gapMs), 0),
+            ringOverflows: state.ringBuffer ? state.ringBuffer.overflowCount : 0,
+        };
     };
 
+    // What the worker embeds after the audio: LIST/INFO title, bext timing and the capture diagnostics
+    const describeTakeMetadata = (summary) => ({
+        title: PromptUI.takeName() || TakesUI.nextName(),
+        comment: PromptUI.currentPrompt()?.text || null,
+        software: CONFIG.SOFTWARE_NAME,
+        startedAt: summary.startedAt,
+        diagnostics: {
+            ...summary,
+            startedAt: new Date(summary.startedAt).toISOString(),
+            gapList: diagnostics.gaps.slice(0, CONFIG.MAX_EMBEDDED_GAPS).map((gap) => ({
+                atSeconds: Number(((gap.timestamp - diagnostics.startTime) / 1000).toFixed(3)),
+                gapMs: Math.round(gap.gapMs),
+            })),
+        },
+    });
+
     const logDiagnosticSummary = () => {
-        const elapsedMs = performance.now() - diagnostics.startTime;
+        const elapsedMs = activeMs();
         const elapsedSec = elapsedMs / 1000;
-        const actualRate = diagnostics.actualSampleRate || CONFIG.SAMPLE_RATE;
+        const actualRate = diagnostics.actualSampleRate || state.targetSampleRate;
         const expectedSamples = elapsedSec * actualRate;
         const sampleRatio = diagnostics.totalSamplesReceived / expectedSamples;
 
-        // Calculate expected vs actual downsampled samples
-        const expectedDownsampled = elapsedSec * CONFIG.SAMPLE_RATE;
+        // Calculate expected vs actual resampled samples
+        const expectedDownsampled = elapsedSec * state.targetSampleRate;
         const downsampleRatio = diagnostics.totalDownsampledSamples / expectedDownsampled;
 
         console.log('=== AUDIO RECORDING DIAGNOSTICS ===');
+        console.log(`Capture path: ${state.captureMode} via ${state.ringBuffer ? 'shared ring buffer' : 'postMessage'}`);
+        if (state.ringBuffer) {
+            console.log(`Ring overflows: ${state.ringBuffer.overflowCount}, underruns: ${state.ringBuffer.underrunCount}`);
+        }
         console.log(`Actual device sample rate: ${actualRate} Hz`);
         console.log(`Recording duration: ${elapsedSec.toFixed(2)}s`);
         console.log(`Callback count: ${diagnostics.callbackCount}`);
@@ -60,7 +193,7 @@ const AudioRecorder = (() => {
         console.log(`  Received: ${diagnostics.totalSamplesReceived}`);
         console.log(`  Expected: ~${Math.floor(expectedSamples)}`);
         console.log(`  Ratio: ${(sampleRatio * 100).toFixed(1)}%`);
-        console.log(`--- Downsampled Output ---`);
+        console.log(`--- Resampled Output (${state.targetSampleRate} Hz) ---`);
         console.log(`  Produced: ${diagnostics.totalDownsampledSamples}`);
         console.log(`  Expected: ~${Math.floor(expectedDownsampled)}`);
         console.log(`  Ratio: ${(downsampleRatio * 100).toFixed(1)}%`);
@@ -86,11 +219,15 @@ const AudioRecorder = (() => {
         panel: null,
         elements: {},
         updateIntervalId: null,
+        lastOverflowCount: 0,
 
         init() {
             this.panel = document.getElementById('diagnosticPanel');
             this.elements = {
                 sampleRate: document.getElementById('diagSampleRate'),
+                capture: document.getElementById('diagCapture'),
+                ring: document.getElementById('diagRing'),
+                stream: document.getElementById('diagStream'),
                 duration: document.getElementById('diagDuration'),
                 callbacks: document.getElementById('diagCallbacks'),
                 ratio: document.getElementById('diagRatio'),
@@ -116,16 +253,16 @@ const AudioRecorder = (() => {
         update() {
             if (!diagnostics.startTime || !this.elements.duration) return;
 
-            const elapsedMs = performance.now() - diagnostics.startTime;
+            const elapsedMs = activeMs();
             const elapsedSec = elapsedMs / 1000;
-            const actualRate = diagnostics.actualSampleRate || CONFIG.SAMPLE_RATE;
+            const actualRate = diagnostics.actualSampleRate || state.targetSampleRate;
             const expectedSamples = elapsedSec * actualRate;
             const sampleRatio = expectedSamples > 0
                 ? (diagnostics.totalSamplesReceived / expectedSamples) * 100
                 : 100;
 
-            // Calculate downsampling output ratio
-            const expectedDownsampled = elapsedSec * CONFIG.SAMPLE_RATE;
+            // Calculate resampling output ratio
+            const expectedDownsampled = elapsedSec * state.targetSampleRate;
             const downsampleRatio = expectedDownsampled > 0
                 ? (diagnostics.totalDownsampledSamples / expectedDownsampled) * 100
                 : 100;
@@ -135,6 +272,8 @@ const AudioRecorder = (() => {
                 this.elements.sampleRate.textContent = `${actualRate} Hz`;
             }
 
+            this.updateRing();
+
             this.elements.duration.textContent = `${elapsedSec.toFixed(1)}s`;
             this.elements.callbacks.textContent = diagnostics.callbackCount.toString();
             this.elements.gaps.textContent = diagnostics.gaps.length.toString();
@@ -164,6 +303,46 @@ const AudioRecorder = (() => {
             }
         },
 
+        updateRing() {
+            if (!this.elements.ring) return;
+
+            const ring = state.ringBuffer;
+            if (!ring) {
+                this.elements.ring.textContent = 'off (postMessage)';
+                this.elements.ring.className = '';
+                return;
+            }
+
+            const overflows = ring.overflowCount;
+            const underruns = ring.underrunCount;
+            this.elements.ring.textContent = `${overflows} over / ${underruns} under`;
+            this.elements.ring.className = overflows > 0 ? 'ratio-bad' : (underruns > 0 ? 'ratio-warn' : 'ratio-good');
+
+            if (overflows > this.lastOverflowCount) {
+                this.addAlert(`Ring buffer overflow (${overflows}) - worker fell behind, audio dropped`, 'error');
+                this.lastOverflowCount = overflows;
+            }
+        },
+
+        setStreamState(state, { droppedSamples = 0, code, retryInMs, message } = {}) {
+            if (this.elements.stream) {
+                this.elements.stream.textContent = droppedSamples > 0 ? `${state} (${droppedSamples} dropped)` : state;
+                this.elements.stream.className = state === 'streaming' ? 'ratio-good' : (state === 'off' || state === 'closed' ? '' : 'ratio-warn');
+            }
+
+            if (state === 'disconnected') {
+                this.addAlert(`Stream disconnected (${code}) - retrying in ${(retryInMs / 1000).toFixed(1)}s, audio is buffered`, 'warning');
+            } else if (state === 'server-error') {
+                this.addAlert(`Stream server error: ${message}`, 'error');
+            }
+        },
+
+        setCaptureMode(mode) {
+            if (this.elements.capture) {
+                this.elements.capture.textContent = mode === 'worklet' ? 'AudioWorklet' : 'ScriptProcessor';
+            }
+        },
+
         addAlert(message, type = 'warning') {
             if (!this.elements.alerts) return;
 
@@ -199,49 +378,101 @@ const AudioRecorder = (() => {
         }
     };
 
+    // 16000 -> "16k", 44100 -> "44.1k" (used in alerts and file names)
+    const formatRate = (rate) => `${rate / 1000}k`;
+
+    // 16 -> "16bit", 32 -> "32f" (32-bit output is always IEEE float)
+    const formatBitDepth = (bitDepth) => (bitDepth === 32 ? '32f' : `${bitDepth}bit`);
+
+    // ws:// or wss:// URL from the stream field, or null (empty or invalid = streaming off)
+    const parseStreamUrl = (value) => {
+        try {
+            const url = new URL(value.trim());
+            return url.protocol === 'ws:' || url.protocol === 'wss:' ? url.href : null;
+        } catch (err) {
+            return null;
+        }
+    };
+
     const getElements = () => ({
         recordBtn: document.getElementById("recordBtn"),
+        pauseBtn: document.getElementById("pauseBtn"),
         downloadBtn: document.getElementById("downloadBtn"),
-        removeSilenceCheckbox: document.getElementById("removeSilence"),
+        sampleRateSelect: document.getElementById("sampleRate"),
+        bitDepthSelect: document.getElementById("bitDepth"),
+        channelsSelect: document.getElementById("channels"),
+        channelOutputSelect: document.getElementById("channelOutput"),
+        silenceModeSelect: document.getElementById("silenceMode"),
+        normalizeSelect: document.getElementById("normalize"),
+        highPassCheckbox: document.getElementById("highPass"),
+        noiseReductionCheckbox: document.getElementById("noiseReduction"),
+        limiterCheckbox: document.getElementById("limiter"),
+        embedMetadataCheckbox: document.getElementById("embedMetadata"),
+        markPausesCheckbox: document.getElementById("markPauses"),
+        exportFormatSelect: document.getElementById("exportFormat"),
+        exportFormatNote: document.getElementById("exportFormatNote"),
+        streamUrlInput: document.getElementById("streamUrl"),
+        uploadUrlInput: document.getElementById("uploadUrl"),
+        uploadBtn: document.getElementById("uploadBtn"),
         micIcon: document.querySelector(".mic-icon"),
     });
 
+    // Post-processing stages picked for the next take, applied by the worker (see dsp.js)
+    const readProcessingSettings = () => {
+        const { normalizeSelect, highPassCheckbox, noiseReductionCheckbox, limiterCheckbox } = getElements();
+        return {
+            highPass: !!highPassCheckbox?.checked,
+            noiseReduction: !!noiseReductionCheckbox?.checked,
+            normalize: normalizeSelect?.value || 'off',
+            limiter: !!limiterCheckbox?.checked,
+        };
+    };
+
     // AudioProcessor moved to Web Worker (audio-worker.js)
 
-    const SilenceDetector = {
-        // Float32 version (values between -1 and 1)
-        isAbsolutelySilentFloat32(samples) {
-            for (let i = 0; i < samples.length; i++) {
-                if (samples[i] !== 0) return false;
-            }
-            return true;
-        },
-
-        isBelowThresholdFloat32(samples) {
-            let sumOfSquares = 0;
-            for (let i = 0; i < samples.length; i++) {
-                sumOfSquares += samples[i] * samples[i];
-            }
-            const rms = Math.sqrt(sumOfSquares / samples.length);
-            // Threshold is now in Float32 scale (0.0 to 1.0)
-            // 25/32767 ≈ 0.00076 in Float32 scale
-            return rms < 0.001;
-        },
-    };
+    // SilenceDetector moved to Web Worker (audio-worker.js) - audio may bypass the main thread
 
     // WavEncoder moved to Web Worker (audio-worker.js)
 
     const UI = {
         setRecordingState(isRecording) {
-            const { recordBtn, micIcon } = getElements();
+            const {
+                recordBtn, pauseBtn, micIcon, sampleRateSelect, bitDepthSelect, channelsSelect, channelOutputSelect,
+                silenceModeSelect, normalizeSelect, highPassCheckbox, noiseReductionCheckbox, limiterCheckbox,
+                streamUrlInput,
+            } = getElements();
 
             recordBtn.innerText = isRecording ? "Stop Recording" : "Start Recording";
             recordBtn.classList.toggle("recording", isRecording);
             micIcon?.classList.toggle("recording", isRecording);
+            this.setPaused(false);
+            if (pauseBtn) pauseBtn.style.display = isRecording ? '' : 'none';
+
+            // Format can't change mid-recording - the worker is already set up for it
+            sampleRateSelect.disabled = isRecording;
+            bitDepthSelect.disabled = isRecording;
+            if (channelsSelect) channelsSelect.disabled = isRecording;
+            if (channelOutputSelect) channelOutputSelect.disabled = isRecording;
+            silenceModeSelect.disabled = isRecording;
+            [normalizeSelect, highPassCheckbox, noiseReductionCheckbox, limiterCheckbox].forEach((control) => {
+                if (control) control.disabled = isRecording;
+            });
+            streamUrlInput.disabled = isRecording;
+            PromptUI.setRecording(isRecording);
+        },
+
+        setPaused(isPaused) {
+            const { pauseBtn, micIcon } = getElements();
+            if (!pauseBtn) return;
+            pauseBtn.innerText = isPaused ? "Resume" : "Pause";
+            pauseBtn.classList.toggle("paused", isPaused);
+            micIcon?.classList.toggle("recording", !!state.audioContext && !isPaused);
         },
 
         enableDownload(enabled) {
-            getElements().downloadBtn.disabled = !enabled;
+            const { downloadBtn, uploadBtn } = getElements();
+            downloadBtn.disabled = !enabled;
+            uploadBtn.disabled = !enabled;
         },
     };
 
@@ -300,186 +531,1239 @@ const AudioRecorder = (() => {
         }
     };
 
-    const RecordingController = {
-        async start() {
-            const { removeSilenceCheckbox } = getElements();
-            const shouldRemoveInitialSilence = removeSilenceCheckbox.checked;
+    // Capture graph - AudioWorklet when available, ScriptProcessorNode as a fallback
+    const CaptureNodes = {
+        supportsWorklet() {
+            return typeof AudioWorkletNode !== 'undefined' && !!state.audioContext.audioWorklet;
+        },
 
-            resetDiagnostics();
-            state.finalWavBuffer = null;
-            state.isProcessingComplete = false;
-            UI.enableDownload(false);
+        async connectWorklet() {
+            await state.audioContext.audioWorklet.addModule('/src/worklet.js');
+
+            state.workletNode = new AudioWorkletNode(state.audioContext, 'recorder-processor', {
+                channelCount: state.channels,
+                channelCountMode: 'explicit',
+                processorOptions: { batchSize: CONFIG.BUFFER_SIZE, channels: state.channels },
+            });
+
+            // Audio goes from the audio thread straight to the worker (shared ring or MessagePort);
+            // the main thread only receives a small stats message per batch
+            if (state.ringBuffer) {
+                state.workletNode.port.postMessage({ type: 'connect-ring', sharedBuffer: state.ringBuffer.sharedBuffer });
+            } else {
+                const channel = new MessageChannel();
+                state.workletNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+                state.audioWorker.postMessage({ type: 'connect-capture', port: channel.port2 }, [channel.port2]);
+            }
+
+            state.workletNode.port.onmessage = (event) => {
+                if (event.data.type === 'batch') {
+                    trackCallback(event.data.frames);
+                } else if (event.data.type === 'paused') {
+                    this.markPause(event.data.frames, state.pendingCueLabel);
+                }
+            };
+
+            this.connectSource();
+            state.workletNode.connect(state.audioContext.destination);
+            state.captureMode = 'worklet';
+            console.log('Capturing with AudioWorklet');
+        },
+
+        connectScriptProcessor() {
+            state.scriptProcessor = state.audioContext.createScriptProcessor(
+                CONFIG.BUFFER_SIZE,
+                state.channels,
+                state.channels
+            );
+
+            state.scriptProcessor.onaudioprocess = (event) => {
+                if (!state.audioContext || !state.audioWorker || state.capturePaused) return;
+
+                // Several channels go to the worker interleaved, as the worklet sends them
+                const { inputBuffer } = event;
+                const inputData = state.channels === 1
+                    ? inputBuffer.getChannelData(0)
+                    : interleave(Array.from({ length: state.channels }, (_, channel) => inputBuffer.getChannelData(channel)));
+                trackCallback(inputBuffer.length);
+
+                // Shared ring: written in place (overflows are counted by the ring)
+                if (state.ringBuffer) {
+                    state.ringBuffer.write(inputData);
+                    return;
+                }
+
+                // Send Float32 data to worker for processing (copy buffer)
+                const bufferCopy = new Float32Array(inputData);
+                state.audioWorker.postMessage({
+                    type: 'process',
+                    data: { buffer: bufferCopy.buffer }
+                }, [bufferCopy.buffer]);
+            };
+
+            this.connectSource();
+            state.scriptProcessor.connect(state.audioContext.destination);
+            state.captureMode = 'scriptprocessor';
+            console.warn('AudioWorklet not available - falling back to ScriptProcessorNode');
+        },
+
+        // Feed the current microphone source into whichever capture node is running
+        connectSource() {
+            state.mediaSource.connect(state.workletNode || state.scriptProcessor);
+        },
+
+        /**
+         * Stop taking audio without tearing the graph down, for `reason` ('user' or 'input').
+         * Capture resumes once no reason is left. Paused time is left out of the take and of the
+         * diagnostics, and each pause is marked for the worker to write as a cue point.
+         */
+        setPaused(reason, paused) {
+            if (paused) {
+                state.pauseReasons.add(reason);
+            } else {
+                state.pauseReasons.delete(reason);
+            }
+            const capturePaused = state.pauseReasons.size > 0;
+            if (state.capturePaused === capturePaused) return;
+
+            state.capturePaused = capturePaused;
+            setDiagnosticsPaused(capturePaused);
+            // The worker polling the ring shouldn't count the quiet while paused as underruns
+            state.audioWorker?.postMessage({ type: 'capture-paused', data: { paused: capturePaused } });
+            if (!capturePaused) {
+                state.workletNode?.port.postMessage({ type: 'resume' });
+                return;
+            }
+
+            const label = reason === 'user' ? `Pause ${++state.pauseCount}` : 'Input lost';
+            if (state.workletNode) {
+                // The worklet replies with the capture position of the pause
+                state.pendingCueLabel = label;
+                state.workletNode.port.postMessage({ type: 'pause' });
+            } else {
+                this.markPause(diagnostics.totalSamplesReceived, label);
+            }
+        },
+
+        markPause(inputFrame, label) {
+            state.audioWorker?.postMessage({ type: 'cue', data: { inputFrame, label } });
+        },
+
+        /**
+         * Tear down the capture graph. Resolves false if the worklet never confirmed
+         * its final batch (the worker then finishes without waiting for it).
+         */
+        async disconnect() {
+            state.mediaSource?.disconnect();
+
+            if (state.scriptProcessor) {
+                state.scriptProcessor.disconnect();
+                state.scriptProcessor.onaudioprocess = null;
+                state.scriptProcessor = null;
+            }
+
+            if (!state.workletNode) {
+                state.ringBuffer?.close();
+                return true;
+            }
+
+            const node = state.workletNode;
+            state.workletNode = null;
+
+            const drained = await new Promise((resolve) => {
+                const timeoutId = setTimeout(() => resolve(false), 1000);
+                node.port.onmessage = (event) => {
+                    if (event.data.type === 'batch') {
+                        trackCallback(event.data.frames);
+                    } else if (event.data.type === 'stopped') {
+                        clearTimeout(timeoutId);
+                        resolve(true);
+                    }
+                };
+                node.port.postMessage({ type: 'stop' });
+            });
+
+            node.port.onmessage = null;
+            node.disconnect();
 
-            const stream = await navigator.mediaDevices.getUserMedia({
+            // The worker finishes once it drains a closed ring, so nothing is lost even on timeout
+            if (state.ringBuffer) {
+                state.ringBuffer.close();
+                return true;
+            }
+            return drained;
+        },
+    };
+
+    // Microphone picker. The choice is remembered by deviceId; when that input can't be opened the
+    // browser's default is used. If the microphone goes away mid-take, capture pauses (the context,
+    // worker and capture node stay up) and resumes on the same or another input, in the same take.
+    const InputDeviceUI = {
+        STORAGE_KEY: 'input-device',
+        select: null,
+        inputLost: false,       // Mid-take with no working microphone; the next devicechange retries
+        switching: false,
+
+        init() {
+            this.select = document.getElementById('inputDevice');
+            if (!this.select || !navigator.mediaDevices?.enumerateDevices) return;
+
+            this.select.onchange = () => {
+                localStorage.setItem(this.STORAGE_KEY, this.select.value);
+                if (state.audioContext) this.switchInput();
+            };
+            navigator.mediaDevices.addEventListener('devicechange', () => this.onDeviceChange());
+            this.refresh();
+        },
+
+        // Device labels (and on some browsers ids) only appear once microphone access is granted
+        async refresh() {
+            if (!this.select) return;
+
+            const devices = await navigator.mediaDevices.enumerateDevices().catch(() => []);
+            // Chrome also lists 'default' and 'communications' aliases of real devices
+            const inputs = devices.filter((device) => device.kind === 'audioinput' && device.deviceId
+                && device.deviceId !== 'default' && device.deviceId !== 'communications');
+            const chosen = localStorage.getItem(this.STORAGE_KEY) || '';
+
+            this.select.replaceChildren(new Option('Default microphone', ''));
+            inputs.forEach((device, index) => {
+                this.select.add(new Option(device.label || `Microphone ${index + 1}`, device.deviceId));
+            });
+            // Keep a remembered device that's unplugged right now, so the choice survives
+            if (chosen && !inputs.some((device) => device.deviceId === chosen)) {
+                this.select.add(new Option('Saved microphone (not connected)', chosen));
+            }
+            this.select.value = chosen;
+        },
+
+        constraints(deviceId) {
+            return {
                 audio: {
                     noiseSuppression: false,
                     echoCancellation: false,
                     autoGainControl: false,
-                    channelCount: CONFIG.CHANNELS,
+                    channelCount: state.channels,
+                    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
                 },
+            };
+        },
+
+        // The chosen microphone, or the default one if the chosen one can't be opened
+        async openStream() {
+            const deviceId = this.select?.value;
+            if (deviceId) {
+                try {
+                    return await navigator.mediaDevices.getUserMedia(this.constraints(deviceId));
+                } catch (err) {
+                    if (!['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(err.name)) throw err;
+                    console.warn(`Could not open the selected microphone (${err.name}) - using the default`);
+                    DiagnosticUI.addAlert('Selected microphone unavailable - using the default input', 'warning');
+                }
+            }
+            return navigator.mediaDevices.getUserMedia(this.constraints(null));
+        },
+
+        // Make a newly opened stream the recording's source (connecting it is up to the caller)
+        use(stream) {
+            const [track] = stream.getAudioTracks();
+            state.mediaStream = stream;
+            state.mediaSource = state.audioContext.createMediaStreamSource(stream);
+            track.onended = () => this.onInputLost(track);
+            console.log(`Input: ${track.label || 'default microphone'}`);
+            this.refresh();
+        },
+
+        // Let go of the microphone (take finished, or the input is being replaced)
+        release() {
+            state.mediaSource?.disconnect();
+            state.mediaSource = null;
+            state.mediaStream?.getTracks().forEach((track) => {
+                track.onended = null;
+                track.stop();
             });
+            state.mediaStream = null;
+        },
+
+        onInputLost(track) {
+            if (!state.audioContext || state.mediaStream?.getAudioTracks()[0] !== track) return;
+            console.warn(`Input ended: ${track.label}`);
+            DiagnosticUI.addAlert(`Microphone "${track.label || 'input'}" disconnected - recording paused`, 'error');
+            this.switchInput();
+        },
+
+        onDeviceChange() {
+            this.refresh();
+            if (state.audioContext && this.inputLost) this.switchInput();
+        },
+
+        /**
+         * Move the running take to the selected microphone (or the default). Capture pauses while
+         * the new input opens; if none opens, the take stays paused until a device is plugged in.
+         */
+        async switchInput() {
+            if (this.switching) return;
+            this.switching = true;
+            CaptureNodes.setPaused('input', true);
+            this.release();
 
-            // Try to create AudioContext with 16kHz (preferred for direct recording)
-            // If not available, use native rate and downsample in worker
-            let audioContext;
             try {
-                audioContext = new AudioContext({ sampleRate: CONFIG.SAMPLE_RATE });
-                if (audioContext.sampleRate !== CONFIG.SAMPLE_RATE) {
-                    await audioContext.close();
-                    audioContext = new AudioContext();
-                    console.log(`Device doesn't support ${CONFIG.SAMPLE_RATE} Hz, using native ${audioContext.sampleRate} Hz (will downsample)`);
-                    DiagnosticUI.addAlert(`Native ${audioContext.sampleRate} Hz → downsample to 16kHz`, 'warning');
-                } else {
-                    console.log(`Recording directly at ${CONFIG.SAMPLE_RATE} Hz (no downsampling needed)`);
+                const stream = await this.openStream();
+                if (!state.audioContext) {
+                    // Stopped while the device was opening
+                    stream.getTracks().forEach((track) => track.stop());
+                    return;
                 }
-            } catch (e) {
-                audioContext = new AudioContext();
-                console.log(`Fallback to native sample rate: ${audioContext.sampleRate} Hz`);
+                this.use(stream);
+                CaptureNodes.connectSource();
+                CaptureNodes.setPaused('input', false);
+                this.inputLost = false;
+                const label = stream.getAudioTracks()[0].label || 'default microphone';
+                DiagnosticUI.addAlert(`Recording continues on "${label}"`, 'success');
+            } catch (err) {
+                console.warn('No microphone to resume on:', err);
+                this.inputLost = true;
+                DiagnosticUI.addAlert(`No microphone available (${err.message}) - paused until one is connected`, 'warning');
+            } finally {
+                this.switching = false;
             }
+        },
+    };
 
-            state.audioContext = audioContext;
-            diagnostics.actualSampleRate = state.audioContext.sampleRate;
-            console.log(`AudioContext using sample rate: ${state.audioContext.sampleRate} Hz`);
+    // Partial transcripts from the streaming recognizer: finals accumulate, the partial is replaced
+    const TranscriptUI = {
+        panel: null,
+        finalText: null,
+        partialText: null,
 
-            // Initialize Web Worker with source sample rate info
-            state.audioWorker = new Worker('/src/audio-worker.js');
-            state.audioWorker.postMessage({
-                type: 'init',
-                data: { sourceSampleRate: state.audioContext.sampleRate }
+        init() {
+            this.panel = document.getElementById('transcriptPanel');
+            this.finalText = document.getElementById('transcriptFinal');
+            this.partialText = document.getElementById('transcriptPartial');
+        },
+
+        reset(visible) {
+            if (!this.panel) return;
+            this.finalText.textContent = '';
+            this.partialText.textContent = '';
+            this.panel.style.display = visible ? 'block' : 'none';
+        },
+
+        update(text, isFinal) {
+            if (!this.panel) return;
+            if (isFinal) {
+                this.finalText.textContent += `${text} `;
+                this.partialText.textContent = '';
+            } else {
+                this.partialText.textContent = text;
+            }
+        },
+    };
+
+    // Lists takes a killed tab never finished and lets the user rebuild or drop them
+    const RecoveryUI = {
+        panel: null,
+        list: null,
+
+        init() {
+            this.panel = document.getElementById('recoveryPanel');
+            this.list = document.getElementById('recoveryList');
+        },
+
+        show(sessions) {
+            if (!this.panel) return;
+
+            this.list.innerHTML = '';
+            sessions.forEach((session) => this.list.appendChild(this._row(session)));
+            this.panel.style.display = sessions.length > 0 ? 'block' : 'none';
+        },
+
+        remove(id) {
+            this.list?.querySelector(`[data-session="${id}"]`)?.remove();
+            if (this.list && this.list.children.length === 0) {
+                this.panel.style.display = 'none';
+            }
+        },
+
+        _row(session) {
+            const row = document.createElement('div');
+            row.className = 'recovery-row';
+            row.dataset.session = session.id;
+
+            const label = document.createElement('span');
+            const startedAt = new Date(session.startedAt).toLocaleString();
+            label.textContent = `${startedAt} - ~${session.approxSeconds.toFixed(0)}s @ ${formatRate(session.sampleRate)}Hz, ${formatBitDepth(session.bitDepth)}`;
+
+            const recoverBtn = document.createElement('button');
+            recoverBtn.className = 'recovery-btn';
+            recoverBtn.textContent = 'Recover';
+            recoverBtn.onclick = () => {
+                recoverBtn.disabled = true;
+                getWorker().postMessage({ type: 'recover-session', data: { id: session.id } });
+            };
+
+            const discardBtn = document.createElement('button');
+            discardBtn.className = 'recovery-btn secondary';
+            discardBtn.textContent = 'Discard';
+            discardBtn.onclick = () => {
+                discardBtn.disabled = true;
+                getWorker().postMessage({ type: 'discard-session', data: { id: session.id } });
+            };
+
+            row.append(label, recoverBtn, discardBtn);
+            return row;
+        },
+    };
+
+    // Live waveform and level meter. The worker draws it on a transferred OffscreenCanvas, so
+    // nothing runs here per chunk; without OffscreenCanvas it posts levels and we draw once per frame.
+    const LevelMeterUI = {
+        canvas: null,
+        view: null,             // Main-thread renderer (fallback only)
+        pending: [],
+        frameId: null,
+        clipAlerted: false,
+
+        init() {
+            this.canvas = document.getElementById('levelCanvas');
+            window.addEventListener('resize', () => this.resize());
+        },
+
+        // Device-pixel size of the canvas as laid out
+        measure() {
+            const ratio = window.devicePixelRatio || 1;
+            return {
+                width: Math.round(this.canvas.clientWidth * ratio),
+                height: Math.round(this.canvas.clientHeight * ratio),
+            };
+        },
+
+        attach(worker) {
+            if (!this.canvas) return;
+
+            const { width, height } = this.measure();
+            if (typeof this.canvas.transferControlToOffscreen === 'function') {
+                const offscreen = this.canvas.transferControlToOffscreen();
+                offscreen.width = width;
+                offscreen.height = height;
+                worker.postMessage({ type: 'attach-visualizer', data: { canvas: offscreen } }, [offscreen]);
+            } else {
+                this.canvas.width = width;
+                this.canvas.height = height;
+                this.view = new WaveformView(this.canvas);
+            }
+        },
+
+        resize() {
+            if (!this.canvas) return;
+
+            const { width, height } = this.measure();
+            if (this.view) {
+                this.view.resize(width, height);
+            } else {
+                state.audioWorker?.postMessage({ type: 'resize-visualizer', data: { width, height } });
+            }
+        },
+
+        reset() {
+            this.clipAlerted = false;
+            this.pending = [];
+            this.view?.clear();
+        },
+
+        draw(levels) {
+            if (!this.view) return;
+            this.pending.push(levels);
+            if (this.frameId === null) {
+                this.frameId = requestAnimationFrame(() => {
+                    this.frameId = null;
+                    this.pending.forEach((queued) => this.view.draw(queued));
+                    this.pending = [];
+                });
+            }
+        },
+
+        onClipping() {
+            // The meter shows every clip; the alert only needs saying once per take
+            if (this.clipAlerted) return;
+            this.clipAlerted = true;
+            DiagnosticUI.addAlert('Input is clipping - move back or lower the mic gain', 'warning');
+        },
+    };
+
+    // Inline player and trim editor for the finished take. Waveform peaks and edited WAVs are built
+    // by the worker; edits are kept-segment lists over the original take, so undo is always possible.
+    const ReviewUI = {
+        panel: null,
+        player: null,
+        peakRequests: new Map(),    // requestId -> resolve
+        nextRequestId: 1,
+        edits: null,                // EditList for the take on show
+        takeId: null,               // finalWavId of the unedited take
+        busy: false,                // Worker is building an edit
+        undoing: false,
+
+        init() {
+            this.panel = document.getElementById('reviewPanel');
+            if (!this.panel) return;
+
+            this.player = new TakeReview({
+                canvas: document.getElementById('reviewCanvas'),
+                playButton: document.getElementById('reviewPlayBtn'),
+                timeLabel: document.getElementById('reviewTime'),
+                zoomInButton: document.getElementById('reviewZoomInBtn'),
+                zoomOutButton: document.getElementById('reviewZoomOutBtn'),
+            }, (start, end, columns) => this.requestPeaks(start, end, columns));
+            this.player.onSelectionChange = () => this.updateEditButtons();
+
+            this.buttons = {
+                crop: document.getElementById('reviewCropBtn'),
+                delete: document.getElementById('reviewDeleteBtn'),
+                undo: document.getElementById('reviewUndoBtn'),
+            };
+            this.buttons.crop.onclick = () => this.edit('crop');
+            this.buttons.delete.onclick = () => this.edit('delete');
+            this.buttons.undo.onclick = () => this.undo();
+
+            window.addEventListener('resize', () => {
+                if (this.panel.style.display !== 'none') this.player.resize();
             });
+        },
 
-            // Handle messages from worker
-            state.audioWorker.onmessage = (event) => {
-                const { type, wavBuffer, samplesProcessed, totalSamples, needsDownsampling } = event.data;
-
-                switch (type) {
-                    case 'ready':
-                        if (needsDownsampling) {
-                            console.log('Worker will downsample to 16kHz');
-                        }
-                        break;
-                    case 'processed':
-                        diagnostics.totalDownsampledSamples += samplesProcessed;
-                        break;
-                    case 'complete':
-                        state.finalWavBuffer = wavBuffer;
-                        state.isProcessingComplete = true;
-                        UI.enableDownload(true);
-                        DiagnosticUI.addAlert(`WAV ready: ${totalSamples} samples @ 16kHz`, 'success');
-                        console.log(`Worker finished: WAV with ${totalSamples} samples`);
-                        break;
-                }
+        requestPeaks(start, end, columns) {
+            const requestId = this.nextRequestId++;
+            return new Promise((resolve) => {
+                this.peakRequests.set(requestId, resolve);
+                getWorker().postMessage({ type: 'peaks', data: { requestId, start, end, columns } });
+            });
+        },
+
+        onPeaks(requestId, peaks) {
+            this.peakRequests.get(requestId)?.(peaks);
+            this.peakRequests.delete(requestId);
+        },
+
+        /**
+         * `blob` and `frames` are the take as recorded; `edit` is a saved edit of it to carry on from
+         */
+        show(blob, sampleRate, frames, edit = null) {
+            if (!this.panel) return;
+            this.panel.style.display = 'block';
+            this.edits = new EditList(frames, edit?.history);
+            this.takeId = state.finalWavId;
+            if (edit) state.finalWavId = edit.id;
+            this.busy = false;
+            this.player.load(edit?.blob || blob, { sampleRate, frames: edit?.frames || frames });
+            this.updateEditButtons();
+        },
+
+        updateEditButtons() {
+            if (!this.buttons) return;
+            const { selection } = this.player;
+            const hasSelection = !!selection && selection.end > selection.start && !this.busy;
+            const coversAll = !!selection && selection.start === 0 && selection.end >= this.player.frames;
+
+            this.buttons.crop.disabled = !hasSelection || coversAll;
+            this.buttons.delete.disabled = !hasSelection || coversAll;
+            this.buttons.undo.disabled = this.busy || !this.edits?.canUndo;
+        },
+
+        edit(kind) {
+            const { selection } = this.player;
+            if (!selection || this.busy) return;
+
+            const segments = kind === 'crop'
+                ? this.edits.crop(selection.start, selection.end)
+                : this.edits.delete(selection.start, selection.end);
+            if (segments) this.render(segments, false);
+        },
+
+        undo() {
+            if (this.busy || !this.edits.canUndo) return;
+            this.render(this.edits.undo(), true);
+        },
+
+        render(segments, undoing) {
+            this.busy = true;
+            this.undoing = undoing;
+            this.player.audio.pause();
+            this.updateEditButtons();
+            getWorker().postMessage({ type: 'render-edit', data: { segments } });
+        },
+
+        onEdited({ wavBlob, totalSamples, outputSampleRate, isOriginal, message }) {
+            this.busy = false;
+
+            if (message) {
+                // The edit never happened - drop it so the history matches what's on screen
+                if (!this.undoing) this.edits.undo();
+                this.updateEditButtons();
+                DiagnosticUI.addAlert(`Edit failed: ${message}`, 'error');
+                return;
+            }
+
+            state.finalWav = wavBlob;
+            // Each version is a different file as far as resumable uploads are concerned, including
+            // versions made after the take was reopened
+            state.finalWavId = isOriginal ? this.takeId : `${this.takeId}-edit${Date.now()}`;
+            this.player.load(wavBlob, { sampleRate: outputSampleRate, frames: totalSamples });
+            this.updateEditButtons();
+            TakesUI.saveEdit(isOriginal ? null : {
+                id: state.finalWavId,
+                history: structuredClone(this.edits.history),
+                blob: wavBlob,
+                frames: totalSamples,
+                duration: totalSamples / outputSampleRate,
+                size: wavBlob.size,
+            });
+            DiagnosticUI.addAlert(`Take is now ${(totalSamples / outputSampleRate).toFixed(1)}s${isOriginal ? ' (original)' : ''}`, 'success');
+        },
+
+        hide() {
+            if (!this.panel) return;
+            this.player.unload();
+            this.panel.style.display = 'none';
+        },
+    };
+
+    // Saved takes: every finished recording is kept in IndexedDB, so a session can collect many
+    // and export them one at a time or all together
+    const TakesUI = {
+        panel: null,
+        list: null,
+        exportBtn: null,
+        takes: [],
+        currentId: null,        // Take in the review player
+
+        init() {
+            this.panel = document.getElementById('takesPanel');
+            this.list = document.getElementById('takesList');
+            this.exportBtn = document.getElementById('takesExportBtn');
+            if (!this.panel) return;
+
+            this.exportBtn.onclick = () => this.exportAll();
+            this.refresh();
+        },
+
+        async refresh() {
+            try {
+                this.takes = await listTakes();
+            } catch (err) {
+                console.warn('Could not read saved takes:', err);
+                this.takes = [];
+            }
+            this.render();
+        },
+
+        render() {
+            if (!this.panel) return;
+
+            this.list.innerHTML = '';
+            this.takes.forEach((take) => this.list.appendChild(this._row(take)));
+            this.panel.style.display = this.takes.length > 0 ? 'block' : 'none';
+        },
+
+        // The worker reuses the storage behind a finished take, so the next recording waits for this
+        _track(saving) {
+            state.savingTake = saving
+                .then(() => this.refresh())
+                .catch((err) => {
+                    console.error('Could not save take:', err);
+                    DiagnosticUI.addAlert(`Take not saved to the list: ${err.message}`, 'warning');
+                })
+                .finally(() => {
+                    state.savingTake = null;
+                });
+        },
+
+        // Default name for the next take added
+        nextName() {
+            return `Take ${this.takes.length + 1}`;
+        },
+
+        add({
+            id, blob, frames, sampleRate, bitDepth, channels = 1, silence = null, processing = null, diagnostics = null,
+            name = null, prompt = null,
+        }) {
+            this.currentId = id;
+            this._track(saveTake({
+                id,
+                name: name || this.nextName(),
+                createdAt: Date.now(),
+                frames,
+                duration: frames / sampleRate,
+                sampleRate,
+                bitDepth,
+                channels,
+                size: blob.size,
+                blob,
+                silence,
+                processing,
+                diagnostics,
+                prompt,
+            }));
+        },
+
+        // The current take was edited (null: back to the original). The recording itself is never
+        // replaced - the edit is kept beside it, history included, so undo still works after reopening
+        saveEdit(edit) {
+            if (!this.currentId) return;
+            this._track(updateTake(this.currentId, { edit }));
+        },
+
+        open(take) {
+            if (state.audioContext) {
+                DiagnosticUI.addAlert('Stop recording before opening another take', 'warning');
+                return false;
+            }
+
+            state.finalWav = latestVersion(take).blob;
+            state.finalWavId = take.id;
+            state.outputSampleRate = take.sampleRate;
+            state.outputBitDepth = take.bitDepth;
+            state.outputChannels = take.channels || 1;
+            state.isProcessingComplete = true;
+            this.currentId = take.id;
+
+            // The editor works on whatever take the worker holds - always the original recording
+            getWorker().postMessage({ type: 'load-take', data: { blob: take.blob, reviewBlob: take.edit?.blob } });
+            UI.enableDownload(true);
+            ReviewUI.show(take.blob, take.sampleRate, take.frames, take.edit);
+            this.render();
+            return true;
+        },
+
+        async rename(take, name) {
+            take.name = name.trim() || take.name;
+            await updateTake(take.id, { name: take.name }).catch((err) => {
+                DiagnosticUI.addAlert(`Rename failed: ${err.message}`, 'error');
+            });
+        },
+
+        async remove(take) {
+            if (!confirm(`Delete "${take.name}"? This can't be undone.`)) return;
+
+            try {
+                await deleteTake(take.id);
+            } catch (err) {
+                DiagnosticUI.addAlert(`Delete failed: ${err.message}`, 'error');
+                return;
+            }
+
+            if (this.currentId === take.id && !state.audioContext) {
+                this.currentId = null;
+                state.finalWav = null;
+                state.finalWavId = null;
+                UI.enableDownload(false);
+                ReviewUI.hide();
+            }
+            await this.refresh();
+        },
+
+        async exportAll() {
+            if (this.takes.length === 0) return;
+
+            this.exportBtn.disabled = true;
+            this.exportBtn.textContent = 'Packing...';
+            try {
+                // WAVs plus manifest.json with each take's capture diagnostics
+                const zip = await createTakeBundle(this.takes);
+                downloadBlob(zip, `takes_${new Date().toISOString().slice(0, 10)}.zip`);
+            } catch (err) {
+                console.error('Export failed:', err);
+                DiagnosticUI.addAlert(`Export failed: ${err.message}`, 'error');
+            } finally {
+                this.exportBtn.disabled = false;
+                this.exportBtn.textContent = 'Export All (ZIP + manifest)';
+            }
+        },
+
+        _row(take) {
+            const row = document.createElement('div');
+            row.className = take.id === this.currentId ? 'recovery-row take-row current' : 'recovery-row take-row';
+
+            const details = document.createElement('div');
+            details.className = 'take-details';
+
+            const nameInput = document.createElement('input');
+            nameInput.className = 'take-name';
+            nameInput.value = take.name;
+            nameInput.onchange = () => this.rename(take, nameInput.value);
+
+            const info = document.createElement('span');
+            const gaps = take.diagnostics?.gaps ? ` · ${take.diagnostics.gaps} gaps` : '';
+            const edited = take.edit ? ` · edited from ${take.duration.toFixed(1)}s` : '';
+            info.textContent = `${latestVersion(take).duration.toFixed(1)}s @ ${formatRate(take.sampleRate)}Hz, ${formatBitDepth(take.bitDepth)}${take.channels > 1 ? `, ${take.channels}ch` : ''} · ${new Date(take.createdAt).toLocaleString()}${gaps}${edited}`;
+            details.append(nameInput, info);
+
+            const playBtn = document.createElement('button');
+            playBtn.className = 'recovery-btn';
+            playBtn.textContent = 'Play';
+            playBtn.onclick = () => {
+                if (this.open(take)) ReviewUI.player.togglePlay();
             };
 
-            // Handle worker errors
-            state.audioWorker.onerror = (error) => {
-                console.error('Audio Worker error:', error);
-                DiagnosticUI.addAlert(`Worker error: ${error.message}`, 'danger');
+            const downloadBtn = document.createElement('button');
+            downloadBtn.className = 'recovery-btn secondary';
+            downloadBtn.textContent = '⬇';
+            downloadBtn.title = 'Download WAV';
+            downloadBtn.onclick = () => downloadBlob(latestVersion(take).blob, takeFileName(take));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'recovery-btn secondary';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete take';
+            deleteBtn.onclick = () => this.remove(take);
+
+            row.append(details, playBtn, downloadBtn, deleteBtn);
+            return row;
+        },
+    };
+
+    // Scripted prompt reading: shows one prompt at a time and ties each finished take to it
+    const PromptUI = {
+        session: null,
+        elements: {},
+        recording: false,
+
+        init() {
+            this.elements = {
+                file: document.getElementById('promptFile'),
+                panel: document.getElementById('promptPanel'),
+                position: document.getElementById('promptPosition'),
+                status: document.getElementById('promptStatus'),
+                text: document.getElementById('promptText'),
+                prev: document.getElementById('promptPrevBtn'),
+                skip: document.getElementById('promptSkipBtn'),
+                next: document.getElementById('promptNextBtn'),
+                export: document.getElementById('promptExportBtn'),
+                end: document.getElementById('promptEndBtn'),
             };
+            if (!this.elements.panel) return;
+
+            const { file, prev, skip, next, end } = this.elements;
+            file.onchange = () => this.load(file.files[0]);
+            prev.onclick = () => this.navigate(() => this.session.previous());
+            skip.onclick = () => this.navigate(() => this.session.skip());
+            next.onclick = () => this.navigate(() => this.session.next());
+            this.elements.export.onclick = () => this.exportSession();
+            end.onclick = () => this.end();
+
+            this.session = PromptSession.restore();
+            this.render();
+        },
 
-            diagnostics.expectedIntervalMs = (CONFIG.BUFFER_SIZE / state.audioContext.sampleRate) * 1000;
-            console.log(`Expected callback interval: ~${diagnostics.expectedIntervalMs.toFixed(1)}ms`);
+        async load(file) {
+            if (!file) return;
 
-            state.mediaSource = state.audioContext.createMediaStreamSource(stream);
-            state.scriptProcessor = state.audioContext.createScriptProcessor(
-                CONFIG.BUFFER_SIZE,
-                CONFIG.CHANNELS,
-                CONFIG.CHANNELS
-            );
+            try {
+                const prompts = parsePrompts(await file.text(), file.name);
+                if (prompts.length === 0) throw new Error('no prompts found');
 
-            // Track if we've started recording (for silence removal)
-            let hasRecordedAudio = false;
+                this.session = new PromptSession({ name: file.name.replace(/\.[^.]+$/, ''), prompts });
+                this.session.save();
+                DiagnosticUI.addAlert(`Loaded ${prompts.length} prompts from ${file.name}`, 'success');
+            } catch (err) {
+                DiagnosticUI.addAlert(`Could not read prompts: ${err.message}`, 'error');
+            }
+            this.elements.file.value = '';
+            this.render();
+        },
 
-            state.scriptProcessor.onaudioprocess = (event) => {
-                if (!state.audioContext || !state.audioWorker) return;
+        navigate(move) {
+            if (!this.session || this.recording) return;
+            move();
+            this.render();
+        },
 
-                const now = performance.now();
+        // Name and prompt details for the take being finished, or nulls outside prompt mode
+        takeName() {
+            const prompt = this.session?.current;
+            return prompt ? `${prompt.id} - ${prompt.text.slice(0, 40)}` : null;
+        },
 
-                // Initialize timing on first callback
-                if (diagnostics.startTime === null) {
-                    diagnostics.startTime = now;
-                    diagnostics.lastCallbackTime = now;
-                }
+        currentPrompt() {
+            const prompt = this.session?.current;
+            return prompt ? { id: prompt.id, text: prompt.text, index: this.session.index } : null;
+        },
 
-                // Track timing gaps
-                const elapsed = now - diagnostics.lastCallbackTime;
-                const threshold = diagnostics.expectedIntervalMs * 1.8;
+        // A new take for the current prompt replaces the one recorded before (re-record)
+        onTakeAdded(takeId) {
+            if (!this.session) return;
 
-                if (diagnostics.callbackCount > 0 && elapsed > threshold) {
-                    diagnostics.gaps.push({
-                        timestamp: now,
-                        gapMs: elapsed,
-                        expectedMs: diagnostics.expectedIntervalMs,
-                    });
-                    const timeInRecording = (now - diagnostics.startTime) / 1000;
-                    console.warn(`⚠️ Audio gap at ${timeInRecording.toFixed(2)}s: ${elapsed.toFixed(0)}ms`);
-                    DiagnosticUI.addAlert(`Gap at ${timeInRecording.toFixed(1)}s: ${elapsed.toFixed(0)}ms`, 'warning');
+            const replaced = this.session.recordTake(takeId);
+            if (replaced) {
+                deleteTake(replaced)
+                    .then(() => TakesUI.refresh())
+                    .catch((err) => console.warn('Could not remove replaced take:', err));
+            }
+            this.render();
+        },
+
+        async exportSession() {
+            if (!this.session) return;
+
+            const button = this.elements.export;
+            button.disabled = true;
+            try {
+                const { zip, count, missing } = await this.session.export();
+                downloadBlob(zip, `${safeFileName(this.session.name, 'prompts')}.zip`);
+                DiagnosticUI.addAlert(`Exported ${count} prompt recordings`, 'success');
+                if (missing > 0) {
+                    DiagnosticUI.addAlert(`${missing} recorded prompt(s) left out - their takes were deleted`, 'warning');
                 }
+            } catch (err) {
+                console.error('Prompt export failed:', err);
+                DiagnosticUI.addAlert(`Export failed: ${err.message}`, 'error');
+            } finally {
+                button.disabled = false;
+            }
+        },
 
-                diagnostics.lastCallbackTime = now;
-                diagnostics.callbackCount++;
+        end() {
+            if (!this.session || this.recording) return;
+            if (!confirm('End this prompt session? Its takes stay in the takes list.')) return;
+
+            this.session.clear();
+            this.session = null;
+            this.render();
+        },
 
-                const inputData = event.inputBuffer.getChannelData(0);
-                diagnostics.totalSamplesReceived += inputData.length;
+        setRecording(isRecording) {
+            this.recording = isRecording;
+            this.render();
+        },
+
+        render() {
+            const { panel, position, status, text, prev, skip, next, file } = this.elements;
+            if (!panel) return;
+
+            file.disabled = this.recording;
+            panel.style.display = this.session ? 'block' : 'none';
+            if (!this.session) return;
+
+            const { index, prompts } = this.session;
+            position.textContent = `${index + 1} / ${prompts.length} · ${this.session.recordedCount} recorded`;
+            text.textContent = this.session.current.text;
+
+            const promptStatus = this.session.statusOf();
+            status.textContent = this.recording
+                ? '● Recording'
+                : { recorded: '✓ Recorded - record again to replace', skipped: 'Skipped', pending: '' }[promptStatus];
+            status.className = `prompt-status ${promptStatus}`;
+
+            prev.disabled = this.recording || index === 0;
+            skip.disabled = this.recording;
+            next.disabled = this.recording || index === prompts.length - 1;
+            this.elements.export.disabled = this.recording || this.session.recordedCount === 0;
+            this.elements.end.disabled = this.recording;
+        },
+    };
 
-                // Silence detection (quick check on main thread)
-                if (shouldRemoveInitialSilence && !hasRecordedAudio) {
-                    if (SilenceDetector.isAbsolutelySilentFloat32(inputData) || SilenceDetector.isBelowThresholdFloat32(inputData)) {
-                        return; // Skip silent frames at the beginning
+    const handleWorkerMessage = (event) => {
+        const {
+            type, id, sessions, wavBlob, storage, message, samplesProcessed, totalSamples, expectedSamples,
+            inputSamples, silence, needsResampling, outputSampleRate, bitDepth: outputBitDepth, state: streamState,
+            text, final, levels, requestId, peaks, blob, channels = 1, processing,
+        } = event.data;
+
+        switch (type) {
+            case 'ready':
+                if (needsResampling) {
+                    console.log(`Worker will resample to ${formatRate(state.targetSampleRate)}Hz`);
+                }
+                if (storage === 'memory') {
+                    DiagnosticUI.addAlert('No OPFS - long recordings are held in memory', 'warning');
+                }
+                break;
+            case 'processed':
+                diagnostics.totalDownsampledSamples += samplesProcessed;
+                break;
+            case 'complete':
+                state.finalWav = wavBlob;
+                state.finalWavId = `take-${Date.now()}`;
+                state.outputSampleRate = outputSampleRate;
+                state.outputBitDepth = outputBitDepth;
+                state.outputChannels = channels;
+                state.isProcessingComplete = true;
+                UI.enableDownload(true);
+                TakesUI.add({
+                    id: state.finalWavId,
+                    blob: wavBlob,
+                    frames: totalSamples,
+                    sampleRate: outputSampleRate,
+                    bitDepth: outputBitDepth,
+                    channels,
+                    silence,
+                    processing,
+                    diagnostics: state.takeDiagnostics,
+                    name: PromptUI.takeName(),
+                    prompt: PromptUI.currentPrompt(),
+                });
+                PromptUI.onTakeAdded(state.finalWavId);
+                ReviewUI.show(wavBlob, outputSampleRate, totalSamples);
+                DiagnosticUI.addAlert(`WAV ready: ${totalSamples} samples @ ${formatRate(outputSampleRate)}Hz, ${formatBitDepth(outputBitDepth)}${channels > 1 ? `, ${channels}ch` : ''}`, 'success');
+                console.log(`Worker finished: WAV with ${totalSamples} samples (${storage})`);
+                console.log(`  From ${inputSamples} input samples - expected exactly ${expectedSamples} output samples`);
+                if (silence) {
+                    const removedSec = silence.leading + silence.pauses + silence.trailing;
+                    console.log(`  Silence (${silence.mode}): removed ${silence.leading.toFixed(2)}s leading, ${silence.pauses.toFixed(2)}s from pauses, ${silence.trailing.toFixed(2)}s trailing`);
+                    if (removedSec > 0) {
+                        DiagnosticUI.addAlert(`Removed ${removedSec.toFixed(1)}s of silence`, 'success');
                     }
-                    hasRecordedAudio = true;
                 }
+                if (processing?.noiseReduction?.applied) {
+                    DiagnosticUI.addAlert(`Reduced background noise (profiled from ${processing.noiseReduction.profileSeconds.toFixed(1)}s of leading silence)`, 'success');
+                } else if (processing?.noiseReduction) {
+                    DiagnosticUI.addAlert('Noise reduction skipped - the take has too little silence before the first speech', 'warning');
+                }
+                if (processing?.normalize) {
+                    const { mode, target, gainDb } = processing.normalize;
+                    const gain = `${gainDb >= 0 ? '+' : ''}${gainDb.toFixed(1)} dB`;
+                    console.log(`  Normalized ${mode} to ${target}: ${gain}`, processing.normalize);
+                    DiagnosticUI.addAlert(`Normalized ${mode} to ${target} (${gain})`, 'success');
+                }
+                if (totalSamples !== expectedSamples) {
+                    console.warn(`⚠️ Resampler drift: ${totalSamples - expectedSamples} samples`);
+                    DiagnosticUI.addAlert(`Output length off by ${totalSamples - expectedSamples} samples`, 'warning');
+                }
+                break;
+            case 'sessions':
+                if (sessions.length > 0) {
+                    console.log(`Found ${sessions.length} unfinished recording(s) from a previous session`);
+                }
+                RecoveryUI.show(sessions);
+                break;
+            case 'recovered':
+                state.finalWav = wavBlob;
+                state.finalWavId = id;
+                state.outputSampleRate = outputSampleRate;
+                state.outputBitDepth = outputBitDepth;
+                state.outputChannels = channels;
+                state.isProcessingComplete = true;
+                UI.enableDownload(true);
+                TakesUI.add({
+                    id,
+                    blob: wavBlob,
+                    frames: totalSamples,
+                    sampleRate: outputSampleRate,
+                    bitDepth: outputBitDepth,
+                    channels,
+                    name: 'Recovered take',
+                });
+                ReviewUI.show(wavBlob, outputSampleRate, totalSamples);
+                RecoveryUI.remove(id);
+                DiagnosticUI.show();
+                DiagnosticUI.addAlert(`Recovered ${(totalSamples / outputSampleRate).toFixed(1)}s take - ready to download`, 'success');
+                break;
+            case 'session-discarded':
+                RecoveryUI.remove(id);
+                break;
+            case 'stream-status':
+                console.log(`Stream: ${streamState}`, event.data);
+                DiagnosticUI.setStreamState(streamState, event.data);
+                break;
+            case 'stream-transcript':
+                TranscriptUI.update(text, final);
+                break;
+            case 'levels':
+                LevelMeterUI.draw(levels);
+                break;
+            case 'clipping':
+                LevelMeterUI.onClipping();
+                break;
+            case 'peaks':
+                ReviewUI.onPeaks(requestId, peaks);
+                break;
+            case 'edited':
+                ReviewUI.onEdited(event.data);
+                break;
+            case 'encoded':
+                ExportEncoder.onEncoded(requestId, blob, message);
+                break;
+            case 'error':
+                console.error('Audio Worker error:', message);
+                DiagnosticUI.addAlert(`Worker error: ${message}`, 'error');
+                break;
+        }
+    };
 
-                // Send Float32 data to worker for processing (copy buffer)
-                const bufferCopy = new Float32Array(inputData);
-                state.audioWorker.postMessage({
-                    type: 'process',
-                    data: { buffer: bufferCopy.buffer }
-                }, [bufferCopy.buffer]);
+    // The worker is kept between takes so it can clean up the storage behind the previous one
+    const getWorker = () => {
+        if (!state.audioWorker) {
+            state.audioWorker = new Worker('/src/audio-worker.js', { type: 'module' });
+            state.audioWorker.onmessage = handleWorkerMessage;
+            state.audioWorker.onerror = (error) => {
+                console.error('Audio Worker error:', error);
+                DiagnosticUI.addAlert(`Worker error: ${error.message}`, 'danger');
             };
+            LevelMeterUI.attach(state.audioWorker);
+        }
+        return state.audioWorker;
+    };
 
-            state.mediaSource.connect(state.scriptProcessor);
-            state.scriptProcessor.connect(state.audioContext.destination);
+    const RecordingController = {
+        async start() {
+            const {
+                silenceModeSelect, sampleRateSelect, bitDepthSelect, channelsSelect, channelOutputSelect, streamUrlInput,
+            } = getElements();
+            const silenceMode = silenceModeSelect.value;
+            const streamUrl = parseStreamUrl(streamUrlInput.value);
+            const targetSampleRate = parseInt(sampleRateSelect.value, 10) || CONFIG.SAMPLE_RATE;
+            const bitDepth = parseInt(bitDepthSelect.value, 10) || CONFIG.BIT_DEPTH;
+            const downmix = channelOutputSelect?.value === 'mixdown';
+            const processing = readProcessingSettings();
+            state.targetSampleRate = targetSampleRate;
+            state.channels = parseInt(channelsSelect?.value, 10) || CONFIG.CHANNELS;
+
+            // The worker reuses the take's storage, so an upload of the previous take can't continue
+            // and the copy into the takes list has to be finished
+            state.upload?.abort();
+            await state.savingTake;
+
+            resetDiagnostics();
+            state.finalWav = null;
+            state.finalWavId = null;
+            state.isProcessingComplete = false;
+            UI.enableDownload(false);
+            ReviewUI.hide();
+            LevelMeterUI.reset();
+
+            const stream = await InputDeviceUI.openStream();
+            state.capturePaused = false;
+
+            // Asking for more channels than the input has would only record copies of the same audio
+            const { channelCount } = stream.getAudioTracks()[0]?.getSettings() || {};
+            if (channelCount && channelCount < state.channels) {
+                DiagnosticUI.addAlert(`Input has ${channelCount} channel${channelCount === 1 ? '' : 's'} - recording ${channelCount}`, 'warning');
+                state.channels = channelCount;
+            }
+            state.pauseReasons.clear();
+            state.pauseCount = 0;
+            InputDeviceUI.inputLost = false;
+
+            // Try to create AudioContext at the target rate (preferred for direct recording)
+            // If not available, use native rate and resample in worker
+            let audioContext;
+            try {
+                audioContext = new AudioContext({ sampleRate: targetSampleRate });
+                if (audioContext.sampleRate !== targetSampleRate) {
+                    await audioContext.close();
+                    audioContext = new AudioContext();
+                    console.log(`Device doesn't support ${targetSampleRate} Hz, using native ${audioContext.sampleRate} Hz (will resample)`);
+                    DiagnosticUI.addAlert(`Native ${audioContext.sampleRate} Hz → resample to ${formatRate(targetSampleRate)}Hz`, 'warning');
+                } else {
+                    console.log(`Recording directly at ${targetSampleRate} Hz (no resampling needed)`);
+                }
+            } catch (e) {
+                audioContext = new AudioContext();
+                console.log(`Fallback to native sample rate: ${audioContext.sampleRate} Hz`);
+            }
+
+            state.audioContext = audioContext;
+            diagnostics.actualSampleRate = state.audioContext.sampleRate;
+            console.log(`AudioContext using sample rate: ${state.audioContext.sampleRate} Hz`);
+
+            // Initialize Web Worker with source sample rate info
+            getWorker().postMessage({
+                type: 'init',
+                data: {
+                    sourceSampleRate: state.audioContext.sampleRate,
+                    targetSampleRate: targetSampleRate,
+                    bitDepth: bitDepth,
+                    channels: state.channels,
+                    downmix: downmix,
+                    silenceMode: silenceMode,
+                    processing: processing,
+                    streamUrl: streamUrl,
+                }
+            });
+
+            diagnostics.expectedIntervalMs = (CONFIG.BUFFER_SIZE / state.audioContext.sampleRate) * 1000;
+            console.log(`Expected callback interval: ~${diagnostics.expectedIntervalMs.toFixed(1)}ms`);
+
+            // Shared-memory transport needs cross-origin isolation; otherwise chunks go by postMessage
+            state.ringBuffer = null;
+            DiagnosticUI.lastOverflowCount = 0;
+            if (CONFIG.USE_RING_BUFFER && RingBuffer.isSupported()) {
+                // Interleaved frames go in whole, so reads always end on a frame boundary
+                const capacity = state.audioContext.sampleRate * CONFIG.RING_SECONDS * state.channels;
+                state.ringBuffer = new RingBuffer(RingBuffer.allocate(capacity));
+                state.audioWorker.postMessage({
+                    type: 'connect-ring',
+                    data: {
+                        sharedBuffer: state.ringBuffer.sharedBuffer,
+                        drainIntervalMs: diagnostics.expectedIntervalMs * 2,
+                    }
+                });
+                console.log(`Using shared ring buffer (${state.ringBuffer.capacity} samples)`);
+            } else if (CONFIG.USE_RING_BUFFER) {
+                console.log('Not cross-origin isolated - using postMessage transport');
+            }
+
+            InputDeviceUI.use(stream);
+
+            if (CaptureNodes.supportsWorklet()) {
+                await CaptureNodes.connectWorklet();
+            } else {
+                CaptureNodes.connectScriptProcessor();
+            }
+            DiagnosticUI.setCaptureMode(state.captureMode);
 
             DiagnosticUI.show();
             DiagnosticUI.startLiveUpdates();
 
+            // With a stream URL the worker reports the connection state itself
+            TranscriptUI.reset(!!streamUrl);
+            if (!streamUrl) DiagnosticUI.setStreamState('off');
+            if (!streamUrl && streamUrlInput.value.trim()) {
+                DiagnosticUI.addAlert('Stream URL must start with ws:// or wss:// - recording without streaming', 'warning');
+            }
+
             // Acquire wake lock to prevent screen from sleeping
             await WakeLockManager.acquire();
 
             UI.setRecordingState(true);
         },
 
-        stop() {
+        async stop() {
+            // Detach the context first so a second click can't stop twice while we wait
+            const audioContext = state.audioContext;
+            state.audioContext = null;
+
             DiagnosticUI.stopLiveUpdates();
 
+            state.takeDiagnostics = null;
             if (diagnostics.startTime !== null) {
                 logDiagnosticSummary();
 
-                const elapsedSec = (performance.now() - diagnostics.startTime) / 1000;
-                const expectedSamples = elapsedSec * (diagnostics.actualSampleRate || CONFIG.SAMPLE_RATE);
-                const sampleRatio = (diagnostics.totalSamplesReceived / expectedSamples) * 100;
+                state.takeDiagnostics = summarizeDiagnostics();
                 DiagnosticUI.update();
-                DiagnosticUI.showFinalSummary(sampleRatio);
+                DiagnosticUI.showFinalSummary(state.takeDiagnostics.sampleRatio * 100);
             }
 
-            state.mediaSource?.disconnect();
-            if (state.scriptProcessor) {
-                state.scriptProcessor.disconnect();
-                state.scriptProcessor.onaudioprocess = null;
-            }
+            // Worklet needs the context running to flush its last partial batch
+            const captureDrained = await CaptureNodes.disconnect();
+            InputDeviceUI.release();
 
             // Request worker to build WAV file
             if (state.audioWorker) {
+                const { embedMetadataCheckbox, markPausesCheckbox } = getElements();
                 DiagnosticUI.addAlert('Building WAV file...', 'warning');
                 state.audioWorker.postMessage({
                     type: 'finish',
-                    data: { sampleRate: diagnostics.actualSampleRate || CONFIG.SAMPLE_RATE }
+                    data: {
+                        sampleRate: diagnostics.actualSampleRate || state.targetSampleRate,
+                        captureLost: !captureDrained,
+                        metadata: embedMetadataCheckbox.checked && state.takeDiagnostics
+                            ? describeTakeMetadata(state.takeDiagnostics)
+                            : null,
+                        cuePoints: markPausesCheckbox.checked,
+                    }
                 });
             }
 
-            state.audioContext?.close();
-            state.audioContext = null;
+            audioContext?.close();
 
             // Release wake lock
             WakeLockManager.release();
@@ -491,32 +1775,246 @@ const AudioRecorder = (() => {
         toggle() {
             state.audioContext ? this.stop() : this.start();
         },
+
+        // Pause within the take: the AudioContext, capture node, worker and WAV all stay open
+        togglePause() {
+            if (!state.audioContext) return;
+
+            const paused = !state.pauseReasons.has('user');
+            CaptureNodes.setPaused('user', paused);
+            UI.setPaused(paused);
+            if (paused) {
+                DiagnosticUI.addAlert('Recording paused', 'warning');
+            } else if (state.capturePaused) {
+                DiagnosticUI.addAlert('Waiting for a microphone before recording continues', 'warning');
+            } else {
+                DiagnosticUI.addAlert('Recording resumed', 'success');
+            }
+        },
     };
 
-    const downloadRecording = () => {
-        if (!state.finalWavBuffer) return;
+    // 16-bit keeps the original recording_16k.wav naming; other depths get a suffix
+    const recordingFileName = (extension = 'wav', suffix = '') => {
+        const depthSuffix = state.outputBitDepth === 16 ? '' : `_${formatBitDepth(state.outputBitDepth)}`;
+        return `recording_${formatRate(state.outputSampleRate)}${depthSuffix}${suffix}.${extension}`;
+    };
 
-        const blob = new Blob([state.finalWavBuffer], { type: "audio/wav" });
+    const downloadBlob = (blob, fileName) => {
         const url = URL.createObjectURL(blob);
 
         const anchor = document.createElement("a");
         anchor.href = url;
-        anchor.download = "recording_16k.wav";
+        anchor.download = fileName;
         anchor.click();
 
         URL.revokeObjectURL(url);
     };
 
+    // FLAC/Opus copies of the finished take, encoded by the worker when first downloaded or uploaded
+    const ExportEncoder = {
+        requests: new Map(),    // requestId -> { resolve, reject }
+        nextRequestId: 1,
+        cache: null,            // { key, promise } - the latest encode, shared by download and upload
+
+        init() {
+            const { exportFormatSelect, exportFormatNote, downloadBtn } = getElements();
+            if (!exportFormatSelect) return;
+
+            // Opus comes from the browser's own encoder only - no WASM encoder is bundled - so where
+            // WebCodecs is missing the option is off, and the page says why
+            if (typeof AudioEncoder === 'undefined') {
+                const opus = exportFormatSelect.querySelector('option[value="opus"]');
+                if (opus.selected) exportFormatSelect.value = 'flac';
+                opus.disabled = true;
+                opus.textContent += ' - not in this browser';
+                if (exportFormatNote) {
+                    exportFormatNote.textContent = 'Ogg Opus export uses the WebCodecs audio encoder, which this browser lacks. '
+                        + 'FLAC still gives a smaller lossless file.';
+                    exportFormatNote.style.display = 'block';
+                }
+            }
+            exportFormatSelect.onchange = () => {
+                downloadBtn.innerText = `Download ${this.selected().label}`;
+            };
+            exportFormatSelect.onchange();     // The browser may have restored a choice from last time
+        },
+
+        selected() {
+            const { exportFormatSelect } = getElements();
+            const id = EXPORT_FORMATS[exportFormatSelect?.value] ? exportFormatSelect.value : 'wav';
+            return { id, ...EXPORT_FORMATS[id] };
+        },
+
+        // With channelFiles (a name per channel) the result is a ZIP of one mono file per channel
+        encode(codec, channelFiles = null) {
+            const key = `${state.finalWavId}.${codec}${channelFiles ? '.channels' : ''}`;
+            if (this.cache?.key !== key) {
+                const requestId = this.nextRequestId++;
+                const promise = new Promise((resolve, reject) => {
+                    this.requests.set(requestId, { resolve, reject });
+                    getWorker().postMessage({
+                        type: 'encode',
+                        data: { requestId, blob: state.finalWav, codec, channelFiles },
+                    });
+                });
+                this.cache = { key, promise };
+                promise.catch(() => {
+                    if (this.cache?.promise === promise) this.cache = null;
+                });
+            }
+            return this.cache.promise;
+        },
+
+        onEncoded(requestId, blob, message) {
+            const request = this.requests.get(requestId);
+            this.requests.delete(requestId);
+            if (blob) request?.resolve(blob);
+            else request?.reject(new Error(message || 'Encoding failed'));
+        },
+    };
+
+    // The finished take in the chosen Download Format: { blob, fileName, format }
+    const exportRecording = async () => {
+        const { channelOutputSelect } = getElements();
+        const format = ExportEncoder.selected();
+
+        if (channelOutputSelect?.value === 'split' && state.outputChannels > 1) {
+            const channelFiles = Array.from({ length: state.outputChannels }, (_, channel) => (
+                recordingFileName(format.extension, `_ch${channel + 1}`)
+            ));
+            DiagnosticUI.addAlert(`Splitting ${state.outputChannels} channels into ${format.label} files...`, 'warning');
+            const blob = await ExportEncoder.encode(format.id, channelFiles);
+            return {
+                blob,
+                fileName: recordingFileName('zip', '_channels'),
+                format: { ...format, id: `${format.id}-channels`, extension: 'zip', mimeType: 'application/zip' },
+            };
+        }
+
+        if (format.id === 'wav') {
+            return { blob: state.finalWav, fileName: recordingFileName(), format };
+        }
+
+        DiagnosticUI.addAlert(`Encoding ${format.label}...`, 'warning');
+        const blob = await ExportEncoder.encode(format.id);
+        return { blob, fileName: recordingFileName(format.extension), format };
+    };
+
+    const downloadRecording = async () => {
+        if (!state.finalWav) return;
+        try {
+            const { blob, fileName, format } = await exportRecording();
+            downloadBlob(new Blob([blob], { type: format.mimeType }), fileName);
+        } catch (err) {
+            console.error('Export failed:', err);
+            DiagnosticUI.addAlert(`Could not export: ${err.message}`, 'error');
+        }
+    };
+
+    // Upload progress bar and status line under the Upload button
+    const UploadUI = {
+        init() {
+            this.status = document.getElementById('uploadStatus');
+            this.progress = document.getElementById('uploadProgress');
+            this.text = document.getElementById('uploadText');
+        },
+
+        setUploading(isUploading) {
+            const { uploadBtn, uploadUrlInput } = getElements();
+            uploadBtn.innerText = isUploading ? 'Cancel Upload' : 'Upload';
+            uploadUrlInput.disabled = isUploading;
+            if (isUploading && this.status) this.status.style.display = 'flex';
+        },
+
+        setProgress(sent, total) {
+            if (!this.progress) return;
+            this.progress.value = total > 0 ? sent / total : 1;
+            this.text.textContent = `${(sent / 1048576).toFixed(1)} / ${(total / 1048576).toFixed(1)} MB`;
+        },
+
+        setMessage(message) {
+            if (this.text) this.text.textContent = message;
+        },
+    };
+
+    const uploadRecording = async () => {
+        // Second click cancels
+        if (state.upload) {
+            state.upload.abort();
+            return;
+        }
+        if (!state.finalWav) return;
+
+        const { uploadUrlInput } = getElements();
+        let endpoint;
+        try {
+            const url = new URL(uploadUrlInput.value.trim());
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(url.protocol);
+            endpoint = url.href;
+        } catch (err) {
+            DiagnosticUI.addAlert('Enter an http(s) upload endpoint first', 'warning');
+            return;
+        }
+
+        let exported;
+        try {
+            exported = await exportRecording();
+        } catch (err) {
+            console.error('Export failed:', err);
+            DiagnosticUI.addAlert(`Could not export: ${err.message}`, 'error');
+            return;
+        }
+        const { blob, fileName, format } = exported;
+
+        const upload = new ChunkedUploader(endpoint, blob, {
+            fileName,
+            fingerprint: `${state.finalWavId}.${format.id}`,
+            metadata: { sampleRate: state.outputSampleRate, bitDepth: state.outputBitDepth, format: format.id },
+            onProgress: (sent, total) => UploadUI.setProgress(sent, total),
+        });
+        state.upload = upload;
+        UploadUI.setUploading(true);
+        UploadUI.setProgress(0, blob.size);
+
+        try {
+            const uploadUrl = await upload.start();
+            console.log(`Upload complete: ${uploadUrl}`);
+            UploadUI.setMessage('Uploaded ✓');
+            DiagnosticUI.addAlert(`Uploaded ${fileName}`, 'success');
+        } catch (err) {
+            console.error('Upload failed:', err);
+            UploadUI.setMessage(err.message);
+            DiagnosticUI.addAlert(`Upload stopped: ${err.message} - press Upload to resume`, 'error');
+        } finally {
+            state.upload = null;
+            UploadUI.setUploading(false);
+        }
+    };
+
     const init = () => {
-        const { recordBtn, downloadBtn } = getElements();
+        const { recordBtn, pauseBtn, downloadBtn, uploadBtn } = getElements();
 
         // Initialize diagnostic UI
         DiagnosticUI.init();
+        RecoveryUI.init();
+        TranscriptUI.init();
+        UploadUI.init();
+        LevelMeterUI.init();
+        ReviewUI.init();
+        TakesUI.init();
+        PromptUI.init();
+        ExportEncoder.init();
+        InputDeviceUI.init();
+
+        // Offer to rebuild takes from a tab that was closed or crashed mid-recording
+        getWorker().postMessage({ type: 'scan-sessions' });
 
         recordBtn.onclick = () => RecordingController.toggle();
+        if (pauseBtn) pauseBtn.onclick = () => RecordingController.togglePause();
         downloadBtn.onclick = downloadRecording;
+        uploadBtn.onclick = uploadRecording;
 
-        console.log("ScriptProcessorNode version - Event listeners attached");
+        console.log("Recorder (AudioWorklet, ScriptProcessor fallback) - Event listeners attached");
     };
 
     return { init };
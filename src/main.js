@@ -1,4 +1,7 @@
 // Style import removed - file doesn't exist
+import { Resampler } from "./resampler.js";
+import { SilenceShaper } from "./silence.js";
+
 document.addEventListener("DOMContentLoaded", () => {
   const recordBtn = document.getElementById("recordBtn");
   const downloadBtn = document.getElementById("downloadBtn");
@@ -14,18 +17,23 @@ let audioCtx = null;
 let chunks = [];
 let workletNode = null;
 let sourceNode = null;
+let resampler = null;
+let silenceShaper = null;
 let wavResult = null;
+let wavSampleRate = 16000;
 
 // ---------------- START / STOP ----------------
 
 async function toggleRecording() {
   const recordBtn = document.getElementById("recordBtn");
   const downloadBtn = document.getElementById("downloadBtn");
-  const removeSilence = document.getElementById("removeSilence").checked;
+  const silenceMode = document.getElementById("silenceMode").value;
+  const targetRate = parseInt(document.getElementById("sampleRate").value, 10) || 16000;
 
   if (!audioCtx) {
     // Start
     chunks = [];
+    wavSampleRate = targetRate;
     downloadBtn.disabled = true;
 
     const stream = await navigator.mediaDevices.getUserMedia({
@@ -41,19 +49,26 @@ async function toggleRecording() {
 
     await audioCtx.audioWorklet.addModule("/src/worklet.js");
 
+    // One resampler for the whole take so filter state carries across 128-frame blocks
+    resampler = audioCtx.sampleRate !== targetRate ? new Resampler(audioCtx.sampleRate, targetRate) : null;
+
+    // Same silence modes as the worker, applied before resampling
+    silenceShaper = silenceMode !== "off" ? new SilenceShaper(audioCtx.sampleRate, silenceMode) : null;
+
     sourceNode = audioCtx.createMediaStreamSource(stream);
     workletNode = new AudioWorkletNode(audioCtx, "recorder-processor");
 
     workletNode.port.onmessage = (event) => {
       if (!audioCtx) return; // prevents null crash
 
-      const float32 = event.data;
-      const pcm16 = downsampleTo16k(float32, audioCtx.sampleRate);
+      let float32 = event.data;
 
-      if (removeSilence && chunks.length === 0 && isSilent(pcm16)) return;
-      if (isSilentFrame(pcm16)) return;
+      if (silenceShaper) {
+        float32 = silenceShaper.process(float32);
+        if (float32.length === 0) return;
+      }
 
-      chunks.push(pcm16);
+      chunks.push(floatTo16Bit(resampler ? resampler.process(float32) : float32));
     };
 
     sourceNode.connect(workletNode);
@@ -69,8 +84,23 @@ async function toggleRecording() {
       workletNode.port.onmessage = null;
     }
 
-    const mergedPCM = mergeChunks(chunks);
-    wavResult = buildWav(mergedPCM);
+    // Release audio the shaper was still holding back
+    if (silenceShaper) {
+      const held = silenceShaper.finish();
+      chunks.push(floatTo16Bit(resampler ? resampler.process(held) : held));
+    }
+
+    // Drain the resampler's filter so the last few ms aren't cut off
+    if (resampler) chunks.push(floatTo16Bit(resampler.flush()));
+
+    let mergedPCM = mergeChunks(chunks);
+
+    // Trailing silence was already kept by the time it turned out to be trailing
+    const cut = silenceShaper ? silenceShaper.trailingCut : null;
+    if (cut !== null) {
+      mergedPCM = mergedPCM.subarray(0, resampler ? resampler.expectedOutputLength(cut) : cut);
+    }
+    wavResult = buildWav(mergedPCM, wavSampleRate);
 
     downloadBtn.disabled = false;
 
@@ -88,20 +118,13 @@ function downloadRecording() {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = "recording_16k.wav";
+  a.download = `recording_${wavSampleRate / 1000}k.wav`;
   a.click();
   URL.revokeObjectURL(url);
 }
 
 // ---------------- UTILITIES ----------------
 
-function isSilent(chunk) {
-  for (const v of chunk) {
-    if (v !== 0) return false;
-  }
-  return true;
-}
-
 function mergeChunks(chunks) {
   let total = 0;
   chunks.forEach(c => total += c.length);
@@ -117,24 +140,16 @@ function mergeChunks(chunks) {
   return result;
 }
 
-function downsampleTo16k(input, rate) {
-  const ratio = rate / 16000;
-  const length = Math.floor(input.length / ratio);
-  const output = new Int16Array(length);
-
-  for (let i = 0; i < length; i++) {
-    const idx = i * ratio;
-    const i0 = Math.floor(idx);
-    const i1 = Math.min(i0 + 1, input.length - 1);
-    const frac = idx - i0;
-
-    const sample = input[i0] * (1 - frac) + input[i1] * frac;
+function floatTo16Bit(input) {
+  const output = new Int16Array(input.length);
+  for (let i = 0; i < input.length; i++) {
+    const sample = Math.max(-1, Math.min(1, input[i]));
     output[i] = sample * 0x7fff;
   }
   return output;
 }
 
-function buildWav(samples) {
+function buildWav(samples, sampleRate) {
   const buffer = new ArrayBuffer(44 + samples.length * 2);
   const view = new DataView(buffer);
 
@@ -146,8 +161,8 @@ function buildWav(samples) {
   view.setUint32(16, 16, true);
   view.setUint16(20, 1, true);
   view.setUint16(22, 1, true);
-  view.setUint32(24, 16000, true);
-  view.setUint32(28, 16000 * 2, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
   view.setUint16(32, 2, true);
   view.setUint16(34, 16, true);
 
@@ -168,15 +183,3 @@ function write(view, offset, text) {
     view.setUint8(offset + i, text.charCodeAt(i));
   }
 }
-
-function isSilentFrame(int16) {
-  let sum = 0;
-  for (let i = 0; i < int16.length; i++) {
-    const v = int16[i];
-    sum += v * v;
-  }
-  const rms = Math.sqrt(sum / int16.length);
-
-  // Threshold tuned for OnePlus/Samsung DSP gating
-  return rms < 25;     // ~ -50 dB, effectively muted
-}
@@ -0,0 +1,300 @@
+/**
+ * Spectral Noise Reduction (worker only)
+ * A deterministic alternative to the browser's noiseSuppression, run on the finished take.
+ * The noise profile comes from the take's leading silence: LeadingNoiseCollector keeps the audio
+ * before the VAD's first speech onset, and NoiseReducer turns it into a per-bin noise spectrum
+ * and applies a Wiener filter (decision-directed a priori SNR, which keeps "musical noise" down)
+ * over STFT frames: sqrt-Hann windows at 50% overlap, so unity gains give back the input exactly.
+ * Multi-channel audio is interleaved; each channel gets its own profile and filter state.
+ */
+
+import { VoiceActivityDetector } from './vad.js';
+import { deinterleave, interleave, mixToMono } from './channels.js';
+
+const CONFIG = {
+    FRAME_MS: 32,               // STFT frame, rounded up to a power of two in samples
+    MAX_PROFILE_SECONDS: 3,     // Leading silence kept for the profile
+    MIN_PROFILE_SECONDS: 0.25,  // Less than this and the take is left alone
+    SKIP_START_MS: 50,          // Device start-up clicks aren't part of the room's noise
+    SMOOTHING: 0.98,            // Decision-directed weight of the previous frame's estimate
+    MAX_REDUCTION_DB: 15,       // Gain floor: noise is turned down this far at most, never gated
+};
+
+/**
+ * In-place radix-2 FFT of a complex signal held in separate real/imaginary arrays
+ */
+class FFT {
+    constructor(size) {
+        this.size = size;
+        this.cos = new Float64Array(size / 2);
+        this.sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos(2 * Math.PI * i / size);
+            this.sin[i] = Math.sin(2 * Math.PI * i / size);
+        }
+        this.reversed = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+            this.reversed[i] = r;
+        }
+    }
+
+    /**
+     * Forward transform, or the inverse (scaled by 1/size) when `inverse` is set
+     */
+    transform(real, imag, inverse = false) {
+        const { size, reversed } = this;
+        for (let i = 0; i < size; i++) {
+            const j = reversed[i];
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        const sign = inverse ? 1 : -1;
+        for (let length = 2; length <= size; length *= 2) {
+            const half = length / 2;
+            const step = size / length;
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cos[k * step];
+                    const wi = sign * this.sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < size; i++) {
+                real[i] /= size;
+                imag[i] /= size;
+            }
+        }
+    }
+}
+
+const frameSizeFor = (sampleRate) => 2 ** Math.ceil(Math.log2(sampleRate * CONFIG.FRAME_MS / 1000));
+
+// Periodic sqrt-Hann: applied on analysis and synthesis, its square sums to 1 at 50% overlap
+function sqrtHann(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) window[i] = Math.sqrt(0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+    return window;
+}
+
+/**
+ * Keeps the audio before the first speech onset (at most MAX_PROFILE_SECONDS) as the noise sample
+ */
+export class LeadingNoiseCollector {
+    constructor(sampleRate, channels = 1) {
+        this.channels = channels;
+        this.vad = new VoiceActivityDetector(sampleRate);
+        this.skip = Math.round(sampleRate * CONFIG.SKIP_START_MS / 1000);
+        this.maxFrames = this.skip + Math.round(sampleRate * CONFIG.MAX_PROFILE_SECONDS);
+        this.chunks = [];
+        this.frames = 0;
+        this.end = null;        // Frame where the noise sample stops, once known
+    }
+
+    process(samples) {
+        if (this.end !== null) return;
+
+        const onset = this.vad.process(mixToMono(samples, this.channels)).find(({ type }) => type === 'start');
+        this.chunks.push(samples.slice());
+        this.frames += samples.length / this.channels;
+
+        if (onset) {
+            this.end = Math.min(onset.sample, this.maxFrames);
+        } else if (this.frames - this.vad.lookbackSamples >= this.maxFrames) {
+            // No onset can be reported this far back any more
+            this.end = this.maxFrames;
+        }
+    }
+
+    /**
+     * The noise sample, interleaved (empty if speech started straight away)
+     */
+    clip() {
+        const end = this.end ?? Math.min(this.frames, this.maxFrames);
+        const all = new Float32Array(this.frames * this.channels);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            all.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return all.slice(Math.min(this.skip, end) * this.channels, end * this.channels);
+    }
+}
+
+/**
+ * Streaming STFT Wiener filter for one channel. Output is the same length as the input,
+ * once flush() has returned the tail.
+ */
+class SpectralDenoiser {
+    constructor(noisePower, fft, window) {
+        this.noisePower = noisePower;
+        this.fft = fft;
+        this.window = window;
+        this.size = fft.size;
+        this.hop = fft.size / 2;
+        this.gainFloor = 10 ** (-CONFIG.MAX_REDUCTION_DB / 20);
+
+        const bins = this.size / 2 + 1;
+        this.previousSpeech = new Float64Array(bins);   // |S|^2 / noise of the previous frame
+        this.real = new Float64Array(this.size);
+        this.imag = new Float64Array(this.size);
+
+        // Half a frame of zeros in front, so every input sample is covered by two frames
+        this.input = new Float32Array(this.size);
+        this.fill = this.hop;
+        this.overlap = new Float64Array(this.hop);
+        this.skip = this.hop;           // Output that belongs to the zero padding
+        this.inputCount = 0;
+        this.outputCount = 0;
+    }
+
+    process(samples) {
+        const output = [];
+        for (let i = 0; i < samples.length; i++) {
+            this.input[this.fill++] = samples[i];
+            if (this.fill === this.size) this._frame(output);
+        }
+        this.inputCount += samples.length;
+        return this._collect(output, Infinity);
+    }
+
+    flush() {
+        const output = [];
+        while (this.outputCount + output.reduce((sum, part) => sum + part.length, 0) < this.inputCount) {
+            this.input.fill(0, this.fill);
+            this.fill = this.size;
+            this._frame(output);
+        }
+        return this._collect(output, this.inputCount - this.outputCount);
+    }
+
+    _collect(parts, limit) {
+        const length = Math.min(limit, parts.reduce((sum, part) => sum + part.length, 0));
+        const output = new Float32Array(length);
+        let offset = 0;
+        for (const part of parts) {
+            const n = Math.min(part.length, length - offset);
+            output.set(part.subarray(0, n), offset);
+            offset += n;
+        }
+        this.outputCount += length;
+        return output;
+    }
+
+    _frame(output) {
+        const { size, hop, real, imag, window, noisePower, previousSpeech } = this;
+
+        for (let i = 0; i < size; i++) {
+            real[i] = this.input[i] * window[i];
+            imag[i] = 0;
+        }
+        this.fft.transform(real, imag);
+
+        for (let bin = 0; bin <= size / 2; bin++) {
+            const power = real[bin] * real[bin] + imag[bin] * imag[bin];
+            const posteriorSnr = power / noisePower[bin];
+            const prioriSnr = CONFIG.SMOOTHING * previousSpeech[bin]
+                + (1 - CONFIG.SMOOTHING) * Math.max(posteriorSnr - 1, 0);
+            const gain = Math.max(prioriSnr / (1 + prioriSnr), this.gainFloor);
+            previousSpeech[bin] = gain * gain * posteriorSnr;
+
+            real[bin] *= gain;
+            imag[bin] *= gain;
+            if (bin > 0 && bin < size / 2) {
+                real[size - bin] = real[bin];
+                imag[size - bin] = -imag[bin];
+            }
+        }
+        this.fft.transform(real, imag, true);
+
+        const block = new Float32Array(hop);
+        for (let i = 0; i < hop; i++) {
+            block[i] = this.overlap[i] + real[i] * window[i];
+            this.overlap[i] = real[i + hop] * window[i + hop];
+        }
+        this.input.copyWithin(0, hop);
+        this.fill = size - hop;
+
+        if (this.skip >= hop) {
+            this.skip -= hop;
+        } else {
+            output.push(block.subarray(this.skip));
+            this.skip = 0;
+        }
+    }
+}
+
+export class NoiseReducer {
+    /**
+     * `noise` is the interleaved sample from LeadingNoiseCollector, at `sampleRate`
+     */
+    constructor(noise, sampleRate, channels = 1) {
+        this.channels = channels;
+        this.profileSeconds = noise.length / channels / sampleRate;
+
+        const size = frameSizeFor(sampleRate);
+        const frameCount = Math.floor((noise.length / channels - size) / (size / 2)) + 1;
+        this.ready = this.profileSeconds >= CONFIG.MIN_PROFILE_SECONDS && frameCount > 0;
+        if (!this.ready) return;
+
+        const fft = new FFT(size);
+        const window = sqrtHann(size);
+        this.denoisers = deinterleave(noise, channels).map((samples) => (
+            new SpectralDenoiser(noiseSpectrum(samples, fft, window, frameCount), fft, window)
+        ));
+    }
+
+    process(samples) {
+        if (this.channels === 1) return this.denoisers[0].process(samples);
+        const planes = deinterleave(samples, this.channels);
+        return interleave(planes.map((plane, channel) => this.denoisers[channel].process(plane)));
+    }
+
+    flush() {
+        return interleave(this.denoisers.map((denoiser) => denoiser.flush()));
+    }
+
+    summary() {
+        return {
+            applied: this.ready,
+            profileSeconds: Math.round(this.profileSeconds * 100) / 100,
+            maxReductionDb: CONFIG.MAX_REDUCTION_DB,
+        };
+    }
+}
+
+/**
+ * Mean power per bin over the noise sample's frames (floored so silence can't divide by zero)
+ */
+function noiseSpectrum(samples, fft, window, frameCount) {
+    const { size } = fft;
+    const power = new Float64Array(size / 2 + 1);
+    const real = new Float64Array(size);
+    const imag = new Float64Array(size);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+        const start = frame * size / 2;
+        for (let i = 0; i < size; i++) {
+            real[i] = samples[start + i] * window[i];
+            imag[i] = 0;
+        }
+        fft.transform(real, imag);
+        for (let bin = 0; bin < power.length; bin++) power[bin] += real[bin] * real[bin] + imag[bin] * imag[bin];
+    }
+    return power.map((total) => Math.max(total / frameCount, 1e-12));
+}
@@ -0,0 +1,220 @@
+/**
+ * Ogg Opus Encoder (worker only)
+ * Compresses a finished take with the browser's own Opus encoder (WebCodecs AudioEncoder) and
+ * wraps the packets in an Ogg stream as RFC 7845 describes.
+ * There is deliberately no bundled WASM encoder: this repo ships plain ES modules with no build
+ * step or third-party binaries. Where WebCodecs or its Opus support is missing, encoding fails
+ * with a message saying so, and the page turns the Opus option off and explains why.
+ */
+
+const CONFIG = {
+    BITRATE_PER_CHANNEL: 48000,
+    SLICE_SECONDS: 1,           // Audio handed to the encoder per AudioData
+    MAX_QUEUE: 8,               // Pending encodes before reading more of the take
+    PAGE_SAMPLES: 48000,        // Start a new Ogg page after about a second of packets
+    DEFAULT_PRE_SKIP: 312,      // libopus lookahead at 48 kHz, used if the encoder doesn't report one
+    VENDOR: 'Audio Recorder (WebCodecs Opus)',
+};
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n << 24;
+        for (let k = 0; k < 8; k++) c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+const HEADER_TYPE = { BOS: 0x02, EOS: 0x04 };
+
+/**
+ * Opus packet duration in 48 kHz samples, from its TOC byte (RFC 6716 section 3.1)
+ */
+function packetSamples(packet) {
+    if (packet.length === 0) return 0;
+    const config = packet[0] >> 3;
+    let frameSamples;
+    if (config < 12) frameSamples = [480, 960, 1920, 2880][config & 3];        // SILK
+    else if (config < 16) frameSamples = [480, 960][config & 1];               // Hybrid
+    else frameSamples = [120, 240, 480, 960][config & 3];                      // CELT
+
+    const code = packet[0] & 3;
+    const frameCount = code === 0 ? 1 : code < 3 ? 2 : (packet[1] & 0x3f);
+    return frameSamples * frameCount;
+}
+
+class OggWriter {
+    constructor() {
+        this.serial = (Math.random() * 0x100000000) >>> 0;
+        this.sequence = 0;
+        this.parts = [];
+    }
+
+    /**
+     * One page holding whole packets; `granule` is the position after its last packet
+     */
+    writePage(packets, granule, headerType = 0) {
+        const lacing = [];
+        for (const packet of packets) {
+            for (let left = packet.length; ; left -= 255) {
+                lacing.push(Math.min(left, 255));
+                if (left < 255) break;
+            }
+        }
+
+        const bodySize = packets.reduce((sum, packet) => sum + packet.length, 0);
+        const page = new Uint8Array(27 + lacing.length + bodySize);
+        const view = new DataView(page.buffer);
+
+        page.set([0x4f, 0x67, 0x67, 0x53], 0);     // "OggS"
+        page[5] = headerType;
+        view.setBigUint64(6, BigInt(granule), true);
+        view.setUint32(14, this.serial, true);
+        view.setUint32(18, this.sequence++, true);
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+
+        let offset = 27 + lacing.length;
+        for (const packet of packets) {
+            page.set(packet, offset);
+            offset += packet.length;
+        }
+
+        // CRC field is zero while the checksum is computed
+        let crc = 0;
+        for (let i = 0; i < page.length; i++) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+        view.setUint32(22, crc, true);
+
+        this.parts.push(page);
+    }
+}
+
+function buildOpusHead(channels, preSkip, inputSampleRate) {
+    const head = new Uint8Array(19);
+    const view = new DataView(head.buffer);
+    head.set(new TextEncoder().encode('OpusHead'), 0);
+    head[8] = 1;                                    // Version
+    head[9] = channels;
+    view.setUint16(10, preSkip, true);
+    view.setUint32(12, inputSampleRate, true);
+    view.setInt16(16, 0, true);                     // Output gain
+    head[18] = 0;                                   // Mapping family 0: mono or stereo
+    return head;
+}
+
+function buildOpusTags() {
+    const encoder = new TextEncoder();
+    const magic = encoder.encode('OpusTags');
+    const vendor = encoder.encode(CONFIG.VENDOR);
+    const tags = new Uint8Array(magic.length + 4 + vendor.length + 4);
+    const view = new DataView(tags.buffer);
+    tags.set(magic, 0);
+    view.setUint32(8, vendor.length, true);
+    tags.set(vendor, 12);
+    view.setUint32(12 + vendor.length, 0, true);    // No user comments
+    return tags;
+}
+
+// Pre-skip from an OpusHead the encoder may hand back as its decoder description
+function readPreSkip(description) {
+    if (!description) return CONFIG.DEFAULT_PRE_SKIP;
+    const bytes = ArrayBuffer.isView(description)
+        ? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+        : new Uint8Array(description);
+    const isOpusHead = bytes.length >= 19 && new TextDecoder().decode(bytes.subarray(0, 8)) === 'OpusHead';
+    return isOpusHead ? bytes[10] | (bytes[11] << 8) : CONFIG.DEFAULT_PRE_SKIP;
+}
+
+/**
+ * Encode the audio of a WavReader as an Ogg Opus Blob
+ */
+export async function encodeOggOpus(reader) {
+    const { format, sampleRate, frames } = reader;
+    const { channels } = format;
+
+    if (typeof AudioEncoder === 'undefined') {
+        throw new Error('Opus export needs WebCodecs (AudioEncoder), which this browser lacks - choose WAV or FLAC');
+    }
+    if (channels > 2) throw new Error('Opus export supports mono and stereo takes only');
+
+    const config = {
+        codec: 'opus',
+        sampleRate,
+        numberOfChannels: channels,
+        bitrate: CONFIG.BITRATE_PER_CHANNEL * channels,
+    };
+    const { supported } = await AudioEncoder.isConfigSupported(config);
+    if (!supported) throw new Error(`This browser can't encode Opus at ${sampleRate} Hz`);
+
+    const packets = [];
+    let description = null;
+    let failure = null;
+
+    const encoder = new AudioEncoder({
+        output: (chunk, metadata) => {
+            const packet = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(packet);
+            packets.push(packet);
+            if (metadata?.decoderConfig?.description) description = metadata.decoderConfig.description;
+        },
+        error: (err) => {
+            failure = err;
+        },
+    });
+    encoder.configure(config);
+
+    const sliceFrames = sampleRate * CONFIG.SLICE_SECONDS;
+    for (let start = 0; start < frames && !failure; start += sliceFrames) {
+        const end = Math.min(frames, start + sliceFrames);
+        const audioData = new AudioData({
+            format: 'f32',              // Interleaved, as WavReader returns it
+            sampleRate,
+            numberOfFrames: end - start,
+            numberOfChannels: channels,
+            timestamp: Math.round(start * 1e6 / sampleRate),
+            data: await reader.read(start, end),
+        });
+        encoder.encode(audioData);
+        audioData.close();
+
+        while (encoder.encodeQueueSize > CONFIG.MAX_QUEUE && !failure) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+    }
+    if (!failure) await encoder.flush().catch((err) => { failure = err; });
+    if (encoder.state !== 'closed') encoder.close();
+    if (failure) throw new Error(`Opus encoding failed: ${failure.message}`);
+
+    const preSkip = readPreSkip(description);
+    const ogg = new OggWriter();
+    ogg.writePage([buildOpusHead(channels, preSkip, sampleRate)], 0, HEADER_TYPE.BOS);
+    ogg.writePage([buildOpusTags()], 0);
+
+    // Granule positions count decoded 48 kHz samples, pre-skip included. The last page's may
+    // trim the encoder's padding off the end, but never claim more than the packets hold.
+    const totalSamples = packets.reduce((sum, packet) => sum + packetSamples(packet), 0);
+    const endGranule = Math.min(totalSamples, preSkip + Math.round(frames * 48000 / sampleRate));
+
+    let granule = 0;
+    let page = [];
+    let pageSamples = 0;
+    let pageSegments = 0;
+    for (let index = 0; index < packets.length; index++) {
+        const packet = packets[index];
+        const segments = Math.floor(packet.length / 255) + 1;
+        if (page.length > 0 && (pageSegments + segments > 255 || pageSamples >= CONFIG.PAGE_SAMPLES)) {
+            ogg.writePage(page, granule);
+            page = [];
+            pageSamples = 0;
+            pageSegments = 0;
+        }
+        page.push(packet);
+        pageSamples += packetSamples(packet);
+        pageSegments += segments;
+        granule += packetSamples(packet);
+    }
+    ogg.writePage(page, endGranule, HEADER_TYPE.EOS);
+
+    return new Blob(ogg.parts, { type: 'audio/ogg; codecs=opus' });
+}
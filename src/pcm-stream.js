@@ -0,0 +1,247 @@
+/**
+ * Live PCM Streaming (worker only)
+ * Sends 16-bit mono PCM to a speech-recognition endpoint over WebSocket while recording.
+ *
+ * Protocol (JSON text frames, audio as binary frames of little-endian Int16):
+ *   client -> { type: 'start', sessionId, sampleRate, channels, encoding: 'pcm_s16le', offset }
+ *   server -> { type: 'ready' }
+ *   client -> binary audio...
+ *   server -> { type: 'ack', received }       optional; lets the client free its replay buffer
+ *   server -> { type: 'partial' | 'final', text }
+ *   client -> { type: 'end', samples }         end of stream; the server closes when done
+ * `offset` is the sample position of the first binary frame that follows. After a reconnect the
+ * client replays everything not yet acknowledged, so a server that already has some of it skips
+ * the overlap itself.
+ */
+
+import { describeFormat, encodeSamples } from './wav.js';
+
+const CONFIG = {
+    HIGH_WATER_BYTES: 256 * 1024,   // Stop sending while the socket has this much queued
+    REPLAY_SECONDS: 30,             // Unacknowledged audio kept for replay after a reconnect
+    RETRY_MIN_MS: 500,
+    RETRY_MAX_MS: 8000,
+    DRAIN_POLL_MS: 50,              // WebSocket has no "drained" event, so poll bufferedAmount
+    END_TIMEOUT_MS: 5000,           // How long to wait for the server to close after 'end'
+};
+
+const PCM16 = describeFormat(16, 1);
+
+export class PcmStreamer {
+    /**
+     * onEvent receives { type: 'status', state, ... } and { type: 'transcript', text, final }
+     */
+    constructor(url, sampleRate, onEvent) {
+        this.url = url;
+        this.sampleRate = sampleRate;
+        this.onEvent = onEvent;
+        this.sessionId = `stream-${Date.now()}`;
+
+        this.socket = null;
+        this.isReady = false;
+        this.chunks = [];           // { offset, bytes } not yet acknowledged, oldest first
+        this.sentIndex = 0;         // chunks[sentIndex] is the next one to send on this connection
+        this.totalSamples = 0;
+        this.droppedSamples = 0;    // Lost because the replay buffer overflowed
+        this.maxBufferedSamples = CONFIG.REPLAY_SECONDS * sampleRate;
+        this.retryDelay = CONFIG.RETRY_MIN_MS;
+        this.retryTimerId = null;
+        this.drainTimerId = null;
+        this.ending = false;
+        this.endSent = false;
+        this.closed = false;
+        this.endResolve = null;
+
+        this._connect();
+    }
+
+    /**
+     * Queue one chunk of Float32 output-rate audio
+     */
+    push(float32Data) {
+        if (this.closed || this.ending || float32Data.length === 0) return;
+
+        this.chunks.push({ offset: this.totalSamples, bytes: encodeSamples(float32Data, PCM16) });
+        this.totalSamples += float32Data.length;
+        this._trimReplayBuffer();
+        this._send();
+    }
+
+    /**
+     * Send everything still queued, then the end-of-stream marker.
+     * Resolves once the server closes the socket (or after END_TIMEOUT_MS).
+     */
+    end() {
+        if (this.closed) return Promise.resolve();
+
+        this.ending = true;
+        return new Promise((resolve) => {
+            const timeoutId = setTimeout(() => this.close(), CONFIG.END_TIMEOUT_MS);
+            this.endResolve = () => {
+                clearTimeout(timeoutId);
+                resolve();
+            };
+            this._send();
+        });
+    }
+
+    /**
+     * Stop immediately (no end marker)
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+
+        clearTimeout(this.retryTimerId);
+        clearTimeout(this.drainTimerId);
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this._status('closed');
+        this.endResolve?.();
+    }
+
+    _connect() {
+        this._status(this.chunks.length > 0 || this.totalSamples > 0 ? 'reconnecting' : 'connecting');
+
+        const socket = new WebSocket(this.url);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+        this.isReady = false;
+
+        socket.onopen = () => {
+            socket.send(JSON.stringify({
+                type: 'start',
+                sessionId: this.sessionId,
+                sampleRate: this.sampleRate,
+                channels: 1,
+                encoding: 'pcm_s16le',
+                offset: this.chunks.length > 0 ? this.chunks[0].offset : this.totalSamples,
+            }));
+        };
+
+        socket.onmessage = (event) => {
+            if (typeof event.data !== 'string') return;
+
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (err) {
+                console.warn('Ignoring non-JSON message from stream server');
+                return;
+            }
+            this._handleMessage(message);
+        };
+
+        socket.onerror = () => {
+            // Details aren't exposed to scripts; onclose follows and handles the retry
+        };
+
+        socket.onclose = (event) => {
+            this.socket = null;
+            this.isReady = false;
+            clearTimeout(this.drainTimerId);
+            this.drainTimerId = null;
+
+            // After 'end' the server closing is the normal way out
+            if (this.endSent) {
+                this.close();
+                return;
+            }
+            this._status('disconnected', { code: event.code, retryInMs: this.retryDelay });
+            this.retryTimerId = setTimeout(() => this._connect(), this.retryDelay);
+            this.retryDelay = Math.min(this.retryDelay * 2, CONFIG.RETRY_MAX_MS);
+        };
+    }
+
+    _handleMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.isReady = true;
+                this.endSent = false;
+                this.retryDelay = CONFIG.RETRY_MIN_MS;
+                // Replay whatever the server hasn't acknowledged yet
+                this.sentIndex = 0;
+                this._status('streaming', { replaying: this.chunks.length });
+                this._send();
+                break;
+            case 'ack':
+                this._acknowledge(message.received);
+                break;
+            case 'partial':
+            case 'final':
+                this.onEvent({ type: 'transcript', text: message.text || '', final: message.type === 'final' });
+                break;
+            case 'error':
+                console.warn('Stream server error:', message.message);
+                this._status('server-error', { message: message.message });
+                break;
+        }
+    }
+
+    /**
+     * Drop chunks the server has confirmed
+     */
+    _acknowledge(received) {
+        let count = 0;
+        while (count < this.chunks.length) {
+            const chunk = this.chunks[count];
+            if (chunk.offset + chunk.bytes.length / PCM16.blockAlign > received) break;
+            count++;
+        }
+        this.chunks.splice(0, count);
+        this.sentIndex = Math.max(0, this.sentIndex - count);
+    }
+
+    _trimReplayBuffer() {
+        const buffered = this.totalSamples - (this.chunks.length > 0 ? this.chunks[0].offset : this.totalSamples);
+        if (buffered <= this.maxBufferedSamples) return;
+
+        // Server has been unreachable (or silent about acks) for too long - oldest audio goes
+        let excess = buffered - this.maxBufferedSamples;
+        while (excess > 0 && this.chunks.length > 1) {
+            const dropped = this.chunks.shift();
+            const samples = dropped.bytes.length / PCM16.blockAlign;
+            excess -= samples;
+            if (this.sentIndex > 0) {
+                this.sentIndex--;
+            } else {
+                this.droppedSamples += samples;
+            }
+        }
+    }
+
+    _send() {
+        const socket = this.socket;
+        if (!socket || !this.isReady || socket.readyState !== WebSocket.OPEN) return;
+
+        while (this.sentIndex < this.chunks.length) {
+            // Backpressure: let the socket drain instead of piling audio into its buffer
+            if (socket.bufferedAmount > CONFIG.HIGH_WATER_BYTES) {
+                this._waitForDrain();
+                return;
+            }
+            socket.send(this.chunks[this.sentIndex].bytes);
+            this.sentIndex++;
+        }
+
+        if (this.ending && !this.endSent) {
+            socket.send(JSON.stringify({ type: 'end', samples: this.totalSamples }));
+            this.endSent = true;
+        }
+    }
+
+    _waitForDrain() {
+        if (this.drainTimerId) return;
+        this.drainTimerId = setTimeout(() => {
+            this.drainTimerId = null;
+            this._send();
+        }, CONFIG.DRAIN_POLL_MS);
+    }
+
+    _status(state, details = {}) {
+        this.onEvent({ type: 'status', state, droppedSamples: this.droppedSamples, ...details });
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Scripted Prompt Sessions
+ * Dataset collection: a list of prompts is read one at a time, each recorded as a normal take.
+ * Progress (which take belongs to which prompt, what was skipped) is kept in localStorage so a
+ * reload doesn't lose the session; the audio itself lives in the takes store.
+ * The export is a ZIP of the prompt takes plus manifest.jsonl, one line per recorded prompt.
+ */
+
+import { getTake } from './take-store.js';
+import { latestVersion } from './take-edits.js';
+import { createZip, safeFileName, uniqueFileName } from './zip.js';
+
+const STORAGE_KEY = 'prompt-session';
+
+/**
+ * Prompts from a JSON file (an array of strings or of { id, text } objects, optionally wrapped
+ * in { prompts: [...] }) or plain text (one prompt per line; blank lines and # comments skipped).
+ * Returns [{ id, text }] with ids defaulting to the 1-based position, zero-padded.
+ */
+export function parsePrompts(content, fileName = '') {
+    let items;
+    const trimmed = content.trim();
+
+    if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        items = Array.isArray(parsed) ? parsed : parsed.prompts;
+        if (!Array.isArray(items)) throw new Error('JSON prompt list must be an array (or { "prompts": [...] })');
+    } else {
+        items = trimmed.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+    }
+
+    const width = String(items.length).length;
+    return items
+        .map((item, index) => {
+            const text = typeof item === 'string' ? item : (item?.text ?? item?.prompt ?? '');
+            const id = typeof item === 'object' && item?.id != null ? String(item.id) : String(index + 1).padStart(width, '0');
+            return { id, text: String(text).trim() };
+        })
+        .filter((prompt) => prompt.text);
+}
+
+export class PromptSession {
+    /**
+     * The session from a previous page load, if one was in progress
+     */
+    static restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return saved?.prompts?.length ? new PromptSession(saved) : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    constructor({ name, prompts, index = 0, takes = {}, skipped = [] }) {
+        this.name = name;
+        this.prompts = prompts;
+        this.index = index;
+        this.takes = takes;                 // Prompt index -> take id
+        this.skipped = new Set(skipped);
+    }
+
+    get current() {
+        return this.prompts[this.index];
+    }
+
+    get recordedCount() {
+        return Object.keys(this.takes).length;
+    }
+
+    /**
+     * 'recorded', 'skipped' or 'pending'
+     */
+    statusOf(index = this.index) {
+        if (this.takes[index]) return 'recorded';
+        return this.skipped.has(index) ? 'skipped' : 'pending';
+    }
+
+    /**
+     * Attach a finished take to the current prompt. Returns the id of the take it replaces, if any.
+     */
+    recordTake(takeId) {
+        const replaced = this.takes[this.index] || null;
+        this.takes[this.index] = takeId;
+        this.skipped.delete(this.index);
+        this.save();
+        return replaced;
+    }
+
+    skip() {
+        if (!this.takes[this.index]) this.skipped.add(this.index);
+        this.next();
+    }
+
+    next() {
+        this.goTo(this.index + 1);
+    }
+
+    previous() {
+        this.goTo(this.index - 1);
+    }
+
+    goTo(index) {
+        this.index = Math.max(0, Math.min(index, this.prompts.length - 1));
+        this.save();
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            name: this.name,
+            prompts: this.prompts,
+            index: this.index,
+            takes: this.takes,
+            skipped: [...this.skipped],
+        }));
+    }
+
+    clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * ZIP of every recorded prompt's WAV (named after the prompt id) plus manifest.jsonl.
+     * Resolves with { zip, count, missing } - missing counts takes deleted from the takes list.
+     */
+    async export() {
+        const used = new Set(['manifest.jsonl']);
+        const entries = [];
+        const manifest = [];
+        let missing = 0;
+
+        for (let index = 0; index < this.prompts.length; index++) {
+            if (!this.takes[index]) continue;
+
+            const take = await getTake(this.takes[index]);
+            if (!take) {
+                missing++;
+                continue;
+            }
+
+            const prompt = this.prompts[index];
+            const { blob, duration } = latestVersion(take);
+            const filename = uniqueFileName(`${safeFileName(prompt.id, 'prompt')}.wav`, used);
+            entries.push({ name: filename, data: blob, lastModified: take.createdAt });
+            manifest.push(JSON.stringify({
+                id: prompt.id,
+                text: prompt.text,
+                filename,
+                duration: Number(duration.toFixed(3)),
+                sample_rate: take.sampleRate,
+            }));
+        }
+
+        if (entries.length === 0) throw new Error('No recorded prompts to export');
+
+        entries.push({ name: 'manifest.jsonl', data: `${manifest.join('\n')}\n` });
+        return { zip: await createZip(entries), count: manifest.length, missing };
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Band-limited Sample Rate Converter
+ * Polyphase windowed-sinc resampler shared by the worker and the prototype entry points.
+ * Keeps its filter history and fractional phase between calls, so audio can be fed in
+ * chunks of any size and still produce exactly the same output as one big call.
+ */
+
+import { deinterleave, interleave } from './channels.js';
+
+const CONFIG = {
+    ZERO_CROSSINGS: 16,     // Sinc half-length, in zero crossings of the cutoff frequency
+    ROLLOFF: 0.92,          // Cutoff as a fraction of the lower Nyquist (room for the transition band)
+    KAISER_BETA: 8.6,       // ~ -85 dB stopband
+    MAX_PHASES: 1024,       // Odd rate pairs above this compute coefficients per output sample
+};
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Zeroth-order modified Bessel function (series expansion), used by the Kaiser window
+ */
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const halfX = x / 2;
+    for (let k = 1; k < 50; k++) {
+        term *= (halfX / k) * (halfX / k);
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+export class Resampler {
+    constructor(sourceRate, targetRate) {
+        const divisor = gcd(Math.round(sourceRate), Math.round(targetRate));
+
+        this.sourceRate = sourceRate;
+        this.targetRate = targetRate;
+        this.upFactor = Math.round(targetRate) / divisor;      // L: number of filter phases
+        this.downFactor = Math.round(sourceRate) / divisor;    // M: phase step per output sample
+
+        // Cutoff in cycles per input sample - below the Nyquist of whichever rate is lower
+        this.cutoff = 0.5 * Math.min(1, this.upFactor / this.downFactor) * CONFIG.ROLLOFF;
+        this.halfWidth = CONFIG.ZERO_CROSSINGS / (2 * this.cutoff);
+        this.halfTaps = Math.ceil(this.halfWidth);
+        this.tapCount = this.halfTaps * 2;
+        this.windowNorm = besselI0(CONFIG.KAISER_BETA);
+
+        this.table = this.upFactor <= CONFIG.MAX_PHASES ? this._buildTable() : null;
+        this.scratch = new Float32Array(this.tapCount);
+
+        this.reset();
+    }
+
+    /**
+     * Forget all history (call before starting a new stream)
+     */
+    reset() {
+        // Pre-roll with zeros so the first output sample is centred on the first input sample
+        this.pending = new Float32Array(this.halfTaps - 1);
+        this.position = 0;  // Index into pending of the first tap for the next output
+        this.phase = 0;     // Fractional position, in 1/L input samples (integer - never drifts)
+        this.inputCount = 0;
+        this.outputCount = 0;
+    }
+
+    /**
+     * Output length a stream of inputLength samples resamples to
+     */
+    expectedOutputLength(inputLength = this.inputCount) {
+        return Math.ceil(inputLength * this.upFactor / this.downFactor);
+    }
+
+    /**
+     * Resample one chunk; returns however many output samples the chunk completes
+     */
+    process(input) {
+        this.inputCount += input.length;
+        const output = this._filter(input);
+        this.outputCount += output.length;
+        return output;
+    }
+
+    /**
+     * Drain the filter at end of stream. Afterwards the total output is exactly
+     * expectedOutputLength() samples, however the input was chunked.
+     */
+    flush() {
+        const missing = this.expectedOutputLength() - this.outputCount;
+        if (missing <= 0) return new Float32Array(0);
+
+        // halfTaps of zero padding completes every output centred before the end of the input
+        const tail = this._filter(new Float32Array(this.halfTaps)).subarray(0, missing);
+        this.outputCount += tail.length;
+        return tail;
+    }
+
+    _filter(input) {
+        const data = new Float32Array(this.pending.length + input.length);
+        data.set(this.pending, 0);
+        data.set(input, this.pending.length);
+
+        const { upFactor, downFactor, tapCount } = this;
+        const available = data.length - tapCount - this.position;
+        const maxOutput = available >= 0 ? Math.floor((available + 1) * upFactor / downFactor) + 1 : 0;
+        const output = new Float32Array(maxOutput);
+
+        let position = this.position;
+        let phase = this.phase;
+        let count = 0;
+
+        while (position + tapCount <= data.length && count < maxOutput) {
+            const coefficients = this._coefficients(phase);
+            let acc = 0;
+            for (let k = 0; k < tapCount; k++) {
+                acc += data[position + k] * coefficients[k];
+            }
+            output[count++] = acc;
+
+            phase += downFactor;
+            position += Math.floor(phase / upFactor);
+            phase %= upFactor;
+        }
+
+        // Keep the samples the next outputs still need
+        if (position <= data.length) {
+            this.pending = data.slice(position);
+            this.position = 0;
+        } else {
+            this.pending = new Float32Array(0);
+            this.position = position - data.length;
+        }
+        this.phase = phase;
+
+        return count === maxOutput ? output : output.subarray(0, count);
+    }
+
+    /**
+     * Windowed-sinc kernel, x in input samples from the centre
+     */
+    _kernel(x) {
+        if (Math.abs(x) >= this.halfWidth) return 0;
+
+        const ratio = x / this.halfWidth;
+        const window = besselI0(CONFIG.KAISER_BETA * Math.sqrt(1 - ratio * ratio)) / this.windowNorm;
+        const arg = 2 * this.cutoff * x;
+        const sinc = arg === 0 ? 1 : Math.sin(Math.PI * arg) / (Math.PI * arg);
+
+        return 2 * this.cutoff * sinc * window;
+    }
+
+    /**
+     * Fill target with the taps for one phase, normalised to unity DC gain
+     */
+    _fillPhase(phase, target) {
+        const frac = phase / this.upFactor;
+        let sum = 0;
+        for (let k = 0; k < this.tapCount; k++) {
+            target[k] = this._kernel(frac + this.halfTaps - 1 - k);
+            sum += target[k];
+        }
+        for (let k = 0; k < this.tapCount; k++) {
+            target[k] /= sum;
+        }
+    }
+
+    _buildTable() {
+        const table = new Float32Array(this.upFactor * this.tapCount);
+        for (let phase = 0; phase < this.upFactor; phase++) {
+            this._fillPhase(phase, table.subarray(phase * this.tapCount, (phase + 1) * this.tapCount));
+        }
+        return table;
+    }
+
+    _coefficients(phase) {
+        if (this.table) {
+            return this.table.subarray(phase * this.tapCount, (phase + 1) * this.tapCount);
+        }
+        this._fillPhase(phase, this.scratch);
+        return this.scratch;
+    }
+}
+
+/**
+ * Interleaved multi-channel audio through one Resampler per channel. Lengths are in frames, so
+ * it can stand in for a Resampler wherever the audio has more than one channel.
+ */
+export class MultichannelResampler {
+    constructor(sourceRate, targetRate, channels) {
+        this.channels = channels;
+        this.resamplers = Array.from({ length: channels }, () => new Resampler(sourceRate, targetRate));
+    }
+
+    reset() {
+        this.resamplers.forEach((resampler) => resampler.reset());
+    }
+
+    expectedOutputLength(inputLength) {
+        return this.resamplers[0].expectedOutputLength(inputLength);
+    }
+
+    process(input) {
+        const planes = deinterleave(input, this.channels);
+        return interleave(planes.map((plane, channel) => this.resamplers[channel].process(plane)));
+    }
+
+    flush() {
+        return interleave(this.resamplers.map((resampler) => resampler.flush()));
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Lock-free Single-Producer/Single-Consumer Ring Buffer
+ * Float32 samples in a SharedArrayBuffer, written by the capture side (AudioWorklet or
+ * ScriptProcessor callback) and drained by audio-worker.js - no per-chunk copies or postMessage.
+ * Needs cross-origin isolation (COOP/COEP headers) for SharedArrayBuffer to exist.
+ */
+
+// Int32 header slots
+const WRITE_INDEX = 0;
+const READ_INDEX = 1;
+const OVERFLOWS = 2;
+const UNDERRUNS = 3;
+const CLOSED = 4;
+const HEADER_SLOTS = 8;
+
+export class RingBuffer {
+    /**
+     * Whether shared memory is usable in this context
+     */
+    static isSupported() {
+        return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+    }
+
+    /**
+     * Allocate shared memory for at least minCapacity samples (rounded up to a power of two)
+     */
+    static allocate(minCapacity) {
+        let capacity = 1;
+        while (capacity < minCapacity) capacity *= 2;
+        return new SharedArrayBuffer(HEADER_SLOTS * 4 + capacity * 4);
+    }
+
+    constructor(sharedBuffer) {
+        this.sharedBuffer = sharedBuffer;
+        this.header = new Int32Array(sharedBuffer, 0, HEADER_SLOTS);
+        this.data = new Float32Array(sharedBuffer, HEADER_SLOTS * 4);
+        this.capacity = this.data.length;
+        this.mask = this.capacity - 1;
+    }
+
+    availableRead() {
+        return (Atomics.load(this.header, WRITE_INDEX) - Atomics.load(this.header, READ_INDEX)) >>> 0;
+    }
+
+    availableWrite() {
+        return this.capacity - this.availableRead();
+    }
+
+    /**
+     * Producer: append samples. A block that doesn't fit is dropped whole and counted as an overflow.
+     */
+    write(samples) {
+        if (samples.length > this.availableWrite()) {
+            Atomics.add(this.header, OVERFLOWS, 1);
+            return false;
+        }
+
+        const writeIndex = Atomics.load(this.header, WRITE_INDEX) >>> 0;
+        const start = writeIndex & this.mask;
+        const firstPart = Math.min(samples.length, this.capacity - start);
+
+        this.data.set(samples.subarray(0, firstPart), start);
+        if (firstPart < samples.length) {
+            this.data.set(samples.subarray(firstPart), 0);
+        }
+
+        // Publish only after the samples are in place
+        Atomics.store(this.header, WRITE_INDEX, (writeIndex + samples.length) | 0);
+        return true;
+    }
+
+    /**
+     * Consumer: copy up to target.length samples into target; returns the count copied
+     */
+    read(target) {
+        const count = Math.min(this.availableRead(), target.length);
+        if (count === 0) return 0;
+
+        const readIndex = Atomics.load(this.header, READ_INDEX) >>> 0;
+        const start = readIndex & this.mask;
+        const firstPart = Math.min(count, this.capacity - start);
+
+        target.set(this.data.subarray(start, start + firstPart), 0);
+        if (firstPart < count) {
+            target.set(this.data.subarray(0, count - firstPart), firstPart);
+        }
+
+        Atomics.store(this.header, READ_INDEX, (readIndex + count) | 0);
+        return count;
+    }
+
+    recordUnderrun() {
+        Atomics.add(this.header, UNDERRUNS, 1);
+    }
+
+    get overflowCount() {
+        return Atomics.load(this.header, OVERFLOWS);
+    }
+
+    get underrunCount() {
+        return Atomics.load(this.header, UNDERRUNS);
+    }
+
+    /**
+     * Producer: mark end of stream (the consumer finishes once it has drained what's left)
+     */
+    close() {
+        Atomics.store(this.header, CLOSED, 1);
+    }
+
+    isClosed() {
+        return Atomics.load(this.header, CLOSED) === 1;
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * Recording Session Journal (worker only)
+ * Keeps enough on disk while a take is recording that it can be rebuilt if the tab is killed.
+ * OPFS takes get their header patched and the file flushed at each checkpoint; in-memory takes
+ * have their new PCM copied to IndexedDB. A session record marks the take as unfinished until
+ * it completes normally.
+ */
+
+import { openDatabase, promisify, transactionDone, STORES } from './idb.js';
+import { buildWavHeader, describeFormat } from './wav.js';
+import { getRecordingsDirectory } from './wav-writer.js';
+
+const CONFIG = {
+    ORPHAN_MAX_AGE_MS: 60 * 60 * 1000,  // Finished takes left in OPFS by closed tabs are removed after this
+};
+
+export class SessionJournal {
+    /**
+     * Record a new in-progress session for the writer's take
+     */
+    static async begin(writer, meta) {
+        const record = {
+            id: `session-${Date.now()}`,
+            storage: writer.sink.kind,
+            fileName: writer.sink.fileName,
+            dataOffset: writer.dataOffset,
+            startedAt: Date.now(),
+            checkpointedAt: null,
+            dataBytes: 0,
+            ...meta,
+        };
+
+        const journal = new SessionJournal(writer, record);
+        await journal._putRecord();
+        return journal;
+    }
+
+    constructor(writer, record) {
+        this.writer = writer;
+        this.record = record;
+    }
+
+    /**
+     * Make everything written so far recoverable
+     */
+    async checkpoint() {
+        const db = await openDatabase();
+        const transaction = db.transaction([STORES.SESSIONS, STORES.CHUNKS], 'readwrite');
+
+        if (this.writer.sink.kind === 'opfs') {
+            this.writer.patchHeader();
+            this.writer.sink.flush();
+        } else {
+            const data = this.writer.sink.takeUnsaved();
+            if (data.size > 0) {
+                transaction.objectStore(STORES.CHUNKS).add({ session: this.record.id, data });
+            }
+        }
+
+        this.record.checkpointedAt = Date.now();
+        this.record.dataBytes = this.writer.dataSize;
+        transaction.objectStore(STORES.SESSIONS).put(this.record);
+        await transactionDone(transaction);
+    }
+
+    /**
+     * The take finished normally - nothing to recover any more
+     */
+    async end() {
+        await deleteSessionData(this.record.id);
+    }
+
+    async _putRecord() {
+        const db = await openDatabase();
+        const transaction = db.transaction(STORES.SESSIONS, 'readwrite');
+        transaction.objectStore(STORES.SESSIONS).put(this.record);
+        await transactionDone(transaction);
+    }
+}
+
+async function deleteSessionData(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([STORES.SESSIONS, STORES.CHUNKS], 'readwrite');
+    transaction.objectStore(STORES.SESSIONS).delete(id);
+
+    const chunkKeys = await promisify(transaction.objectStore(STORES.CHUNKS).index('session').getAllKeys(id));
+    chunkKeys.forEach((key) => transaction.objectStore(STORES.CHUNKS).delete(key));
+    await transactionDone(transaction);
+}
+
+async function getSessionRecord(id) {
+    const db = await openDatabase();
+    const record = await promisify(db.transaction(STORES.SESSIONS).objectStore(STORES.SESSIONS).get(id));
+    if (!record) throw new Error(`No unfinished session ${id}`);
+    return record;
+}
+
+/**
+ * Sessions left behind by a tab that never finished its take
+ */
+export async function listUnfinishedSessions() {
+    const db = await openDatabase();
+    const records = await promisify(db.transaction(STORES.SESSIONS).objectStore(STORES.SESSIONS).getAll());
+
+    return records.map((record) => {
+        const format = describeFormat(record.bitDepth, record.channels);
+        return {
+            id: record.id,
+            startedAt: record.startedAt,
+            checkpointedAt: record.checkpointedAt,
+            sampleRate: record.sampleRate,
+            bitDepth: record.bitDepth,
+            storage: record.storage,
+            // OPFS may hold more than the last checkpoint; this is the guaranteed minimum
+            approxSeconds: record.dataBytes / format.blockAlign / record.sampleRate,
+        };
+    });
+}
+
+/**
+ * Rebuild an unfinished session into a valid WAV.
+ * Resolves with the file plus a discard() that frees its storage once it's no longer needed.
+ */
+export async function recoverSession(id) {
+    const record = await getSessionRecord(id);
+    const format = describeFormat(record.bitDepth, record.channels);
+
+    const result = record.storage === 'opfs'
+        ? await recoverOpfsSession(record, format)
+        : await recoverMemorySession(record, format);
+
+    await deleteSessionData(id);
+    return { ...result, sampleRate: record.sampleRate, bitDepth: record.bitDepth, channels: format.channels };
+}
+
+async function recoverOpfsSession(record, format) {
+    const directory = await getRecordingsDirectory();
+    const fileHandle = await directory.getFileHandle(record.fileName);
+
+    // Throws if another tab still has the file open for recording
+    const accessHandle = await fileHandle.createSyncAccessHandle();
+    let dataSize;
+    try {
+        // Everything past the header is audio; drop a trailing partial sample frame
+        const written = accessHandle.getSize() - record.dataOffset;
+        dataSize = Math.max(0, written - (written % format.blockAlign));
+
+        accessHandle.truncate(record.dataOffset + dataSize);
+        if (dataSize % 2 === 1) {
+            accessHandle.write(new Uint8Array(1), { at: record.dataOffset + dataSize });
+        }
+        accessHandle.write(new Uint8Array(buildWavHeader(format, record.sampleRate, dataSize)), { at: 0 });
+        accessHandle.flush();
+    } finally {
+        accessHandle.close();
+    }
+
+    return {
+        blob: await fileHandle.getFile(),
+        totalSamples: dataSize / format.blockAlign,
+        discard: () => directory.removeEntry(record.fileName).catch(() => {}),
+    };
+}
+
+async function recoverMemorySession(record, format) {
+    const db = await openDatabase();
+    const chunks = await promisify(
+        db.transaction(STORES.CHUNKS).objectStore(STORES.CHUNKS).index('session').getAll(record.id)
+    );
+
+    const data = new Blob(chunks.map((chunk) => chunk.data));
+    const dataSize = data.size - (data.size % format.blockAlign);
+    const header = new Uint8Array(buildWavHeader(format, record.sampleRate, dataSize));
+    const pad = new Uint8Array(dataSize % 2);
+
+    return {
+        blob: new Blob([header, data.slice(0, dataSize), pad], { type: 'audio/wav' }),
+        totalSamples: dataSize / format.blockAlign,
+        discard: async () => {},
+    };
+}
+
+/**
+ * Throw away an unfinished session without rebuilding it
+ */
+export async function discardSession(id) {
+    const record = await getSessionRecord(id);
+    if (record.storage === 'opfs') {
+        const directory = await getRecordingsDirectory();
+        await directory.removeEntry(record.fileName).catch(() => {});
+    }
+    await deleteSessionData(id);
+}
+
+/**
+ * Remove finished takes that closed tabs left in OPFS (no session record, not touched for a while)
+ */
+export async function removeOrphanedFiles() {
+    const db = await openDatabase();
+    const records = await promisify(db.transaction(STORES.SESSIONS).objectStore(STORES.SESSIONS).getAll());
+    const referenced = new Set(records.map((record) => record.fileName));
+
+    const directory = await getRecordingsDirectory();
+    const now = Date.now();
+    const stale = [];
+    for await (const handle of directory.values()) {
+        if (handle.kind !== 'file' || referenced.has(handle.name)) continue;
+
+        const file = await handle.getFile();
+        if (now - file.lastModified > CONFIG.ORPHAN_MAX_AGE_MS) stale.push(handle.name);
+    }
+
+    for (const name of stale) {
+        await directory.removeEntry(name).catch(() => {});
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * Silence Shaping
+ * Streaming silence removal driven by the shared VAD. Modes:
+ *   off      - keep everything
+ *   leading  - drop silence before the first speech
+ *   edges    - also drop silence after the last speech
+ *   compress - also shorten pauses longer than MAX_PAUSE_MS to COMPRESSED_PAUSE_MS, with a crossfade
+ * Pause lengths don't include the VAD's hangover and pre-roll, which are always kept around speech.
+ * Multi-channel audio is passed interleaved; the VAD listens to a mono mix and whole frames are cut.
+ */
+
+import { VoiceActivityDetector } from './vad.js';
+import { mixToMono } from './channels.js';
+
+const CONFIG = {
+    MAX_PAUSE_MS: 700,          // Pauses up to this long are left alone
+    COMPRESSED_PAUSE_MS: 250,   // Longer pauses are cut down to this
+    CROSSFADE_MS: 10,           // Blend across the cut so it doesn't click
+};
+
+export const SILENCE_MODES = ['off', 'leading', 'edges', 'compress'];
+
+/**
+ * FIFO of interleaved Float32 chunks that can hand out or drop an exact number of frames
+ */
+class SampleQueue {
+    constructor(channels = 1) {
+        this.channels = channels;
+        this.chunks = [];
+        this.offset = 0;    // Read position inside chunks[0], in samples
+        this.length = 0;    // In frames
+    }
+
+    push(samples) {
+        if (samples.length === 0) return;
+        this.chunks.push(samples);
+        this.length += samples.length / this.channels;
+    }
+
+    take(frames) {
+        const count = frames * this.channels;
+        const output = new Float32Array(count);
+        let filled = 0;
+        while (filled < count) {
+            const chunk = this.chunks[0];
+            const n = Math.min(count - filled, chunk.length - this.offset);
+            output.set(chunk.subarray(this.offset, this.offset + n), filled);
+            filled += n;
+            this._advance(n);
+        }
+        return output;
+    }
+
+    drop(frames) {
+        let remaining = frames * this.channels;
+        while (remaining > 0) {
+            const n = Math.min(remaining, this.chunks[0].length - this.offset);
+            remaining -= n;
+            this._advance(n);
+        }
+    }
+
+    _advance(count) {
+        this.offset += count;
+        this.length -= count / this.channels;
+        if (this.offset === this.chunks[0].length) {
+            this.chunks.shift();
+            this.offset = 0;
+        }
+    }
+}
+
+function concat(parts) {
+    if (parts.length === 1) return parts[0];
+
+    const output = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+export class SilenceShaper {
+    constructor(sampleRate, mode = 'leading', options = {}) {
+        const { channels = 1, ...overrides } = options;
+        const settings = { ...CONFIG, ...overrides };
+        const msToSamples = (ms) => Math.round(sampleRate * ms / 1000);
+
+        this.sampleRate = sampleRate;
+        this.channels = channels;
+        this.mode = mode;
+        this.trimTrailing = mode === 'edges' || mode === 'compress';
+        this.compressPauses = mode === 'compress';
+
+        const compressed = msToSamples(settings.COMPRESSED_PAUSE_MS);
+        this.fadeLength = msToSamples(settings.CROSSFADE_MS);
+        this.headLength = Math.floor(compressed / 2);   // Pause kept after speech ends...
+        this.tailLength = compressed - this.headLength; // ...and before it starts again
+        this.maxPause = Math.max(msToSamples(settings.MAX_PAUSE_MS), compressed + 2 * this.fadeLength);
+
+        this.vad = new VoiceActivityDetector(sampleRate);
+        this.queue = new SampleQueue(channels);     // Undecided audio, starting at `cursor`
+        this.cursor = 0;                    // Input frame: everything before it was emitted or dropped
+        this.emitted = 0;
+        this.state = 'leading';             // 'leading' | 'speech' | 'pause'
+        this.pauseStart = 0;
+        this.fadeOut = null;                // Start of a long pause, kept to crossfade from
+        this.trailingStart = null;          // Output position where the current pause began
+        this.pauseDropped = 0;              // Dropped from a long pause that may yet turn out to be trailing
+
+        this.trimmed = { leading: 0, pauses: 0, trailing: 0 };
+    }
+
+    /**
+     * Feed a chunk; returns the audio that can be written now (possibly empty)
+     */
+    process(samples) {
+        const output = [];
+        const transitions = this.vad.process(mixToMono(samples, this.channels));
+
+        // Capture buffers can be reused by the caller, so keep a copy
+        this.queue.push(samples.slice());
+
+        for (const transition of transitions) {
+            if (transition.type === 'start') {
+                this._speechStarted(Math.max(transition.sample, this.cursor), output);
+            } else {
+                this._emitUntil(transition.sample, output);
+                this.state = 'pause';
+                this.pauseStart = transition.sample;
+                this.trailingStart = this.emitted;
+            }
+        }
+
+        this._settle(output);
+        return concat(output);
+    }
+
+    /**
+     * End of input: returns whatever is still held back
+     */
+    finish() {
+        const output = [];
+
+        if (this.state === 'leading') {
+            this.trimmed.leading += this.queue.length;
+            this._dropUntil(this.cursor + this.queue.length);
+        } else if (this.state === 'pause' && this.trimTrailing) {
+            this.trimmed.trailing += this.pauseDropped + this.queue.length
+                + (this.fadeOut ? this.fadeLength : 0) + (this.emitted - this.trailingStart);
+            this._dropUntil(this.cursor + this.queue.length);
+        } else {
+            this._emitUntil(this.cursor + this.queue.length, output);
+        }
+
+        return concat(output);
+    }
+
+    /**
+     * After finish(): output length to cut back to when trailing silence was already emitted
+     * (null if nothing needs cutting)
+     */
+    get trailingCut() {
+        return this.trimTrailing && this.state === 'pause' && this.trailingStart < this.emitted
+            ? this.trailingStart
+            : null;
+    }
+
+    /**
+     * Removed silence in seconds, for diagnostics
+     */
+    summary() {
+        const toSeconds = (samples) => samples / this.sampleRate;
+        return {
+            mode: this.mode,
+            leading: toSeconds(this.trimmed.leading),
+            pauses: toSeconds(this.trimmed.pauses),
+            trailing: toSeconds(this.trimmed.trailing),
+        };
+    }
+
+    _speechStarted(start, output) {
+        if (this.state === 'leading') {
+            this.trimmed.leading += this._dropUntil(start);
+        } else if (this.state === 'pause' && this.compressPauses && start - this.pauseStart > this.maxPause) {
+            this._compressPause(start, output);
+        }
+
+        this.state = 'speech';
+        this.fadeOut = null;
+        this.trailingStart = null;
+        this.pauseDropped = 0;
+    }
+
+    /**
+     * Keep headLength of the pause, crossfade into the last tailLength before `start`
+     */
+    _compressPause(start, output) {
+        this._emitUntil(this.pauseStart + this.headLength, output);
+        this._takeFadeOut();
+
+        const fadeInStart = start - this.tailLength - this.fadeLength;
+        this.trimmed.pauses += this.pauseDropped + this._dropUntil(fadeInStart);
+        const fadeIn = this.queue.take(this.fadeLength);
+        this.cursor += this.fadeLength;
+
+        const blended = new Float32Array(fadeIn.length);
+        for (let i = 0; i < blended.length; i++) {
+            const gain = (Math.floor(i / this.channels) + 0.5) / this.fadeLength;
+            blended[i] = this.fadeOut[i] * (1 - gain) + fadeIn[i] * gain;
+        }
+        output.push(blended);
+        this.emitted += this.fadeLength;
+        this.trimmed.pauses += this.fadeLength;
+    }
+
+    _takeFadeOut() {
+        if (this.fadeOut) return;
+        this.fadeOut = this.queue.take(this.fadeLength);
+        this.cursor += this.fadeLength;
+    }
+
+    /**
+     * Decide what can be decided without knowing the future
+     */
+    _settle(output) {
+        const position = this.cursor + this.queue.length;
+        const lookback = this.vad.lookbackSamples;
+
+        if (this.state === 'leading') {
+            // Only an onset's pre-roll can still reach back into what we hold
+            if (this.queue.length > lookback) {
+                this.trimmed.leading += this._dropUntil(position - lookback);
+            }
+        } else if (this.state === 'speech' || !this.compressPauses) {
+            this._emitUntil(position, output);
+        } else {
+            this._emitUntil(Math.min(position, this.pauseStart + this.headLength), output);
+
+            // Once no future onset can make this a short pause, hold only what the crossfade needs
+            if (!this.fadeOut && position - this.pauseStart > this.maxPause + lookback) {
+                this._takeFadeOut();
+            }
+            if (this.fadeOut) {
+                const keep = this.tailLength + this.fadeLength + lookback;
+                if (this.queue.length > keep) {
+                    this.pauseDropped += this._dropUntil(position - keep);
+                }
+            }
+        }
+    }
+
+    _emitUntil(position, output) {
+        const count = position - this.cursor;
+        if (count <= 0) return;
+        output.push(this.queue.take(count));
+        this.cursor = position;
+        this.emitted += count;
+    }
+
+    _dropUntil(position) {
+        const count = position - this.cursor;
+        if (count <= 0) return 0;
+        this.queue.drop(count);
+        this.cursor = position;
+        return count;
+    }
+}
+
+/**
+ * Apply a silence mode to a whole recording at once
+ */
+export function shapeSilence(samples, sampleRate, mode) {
+    if (mode === 'off') return samples;
+
+    const shaper = new SilenceShaper(sampleRate, mode);
+    const shaped = concat([shaper.process(samples), shaper.finish()]);
+    const cut = shaper.trailingCut;
+    return cut === null ? shaped : shaped.subarray(0, cut);
+}
@@ -0,0 +1,121 @@
+/**
+ * Non-destructive Take Edits
+ * An edit is a list of kept segments of the original take ({ start, end } frame ranges, in order).
+ * Crop and delete work in the edited timeline the user sees and produce a new list; the original
+ * WAV is never touched, and every earlier list stays in the history for undo.
+ */
+
+/**
+ * The parts of the original take behind edited-timeline frames [start, end)
+ */
+function sliceSegments(segments, start, end) {
+    const pieces = [];
+    let position = 0;
+
+    for (const segment of segments) {
+        const length = segment.end - segment.start;
+        const from = Math.max(start, position);
+        const to = Math.min(end, position + length);
+        if (from < to) {
+            pieces.push({ start: segment.start + from - position, end: segment.start + to - position });
+        }
+        position += length;
+    }
+
+    return pieces;
+}
+
+/**
+ * Where frame `frame` of the original take lands in the edit kept as `segments`, or null if it was cut.
+ * A frame on the end of a segment (a cue at the very end of the audio) stays with that segment.
+ */
+export function editedFrame(segments, frame) {
+    let offset = 0;
+    for (const { start, end } of segments) {
+        if (frame >= start && frame <= end) return offset + frame - start;
+        offset += end - start;
+    }
+    return null;
+}
+
+/**
+ * The audio to play and export for a saved take: its latest edit if it has one, else the recording.
+ * Both carry { blob, frames, duration, size }.
+ */
+export function latestVersion(take) {
+    return take.edit || take;
+}
+
+export class EditList {
+    /**
+     * `history` continues a saved edit (EditList.history of an earlier session)
+     */
+    constructor(frames, history = null) {
+        this.history = history
+            ? history.map((segments) => segments.map((segment) => ({ ...segment })))
+            : [[{ start: 0, end: frames }]];
+    }
+
+    get segments() {
+        return this.history[this.history.length - 1];
+    }
+
+    /**
+     * Frames in the edited take
+     */
+    get length() {
+        return this.segments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+    }
+
+    get canUndo() {
+        return this.history.length > 1;
+    }
+
+    /**
+     * True while the edit is the whole original take
+     */
+    get isOriginal() {
+        return this.history.length === 1;
+    }
+
+    /**
+     * Keep only edited-timeline frames [start, end)
+     */
+    crop(start, end) {
+        return this._push(sliceSegments(this.segments, start, end));
+    }
+
+    /**
+     * Remove edited-timeline frames [start, end)
+     */
+    delete(start, end) {
+        return this._push([
+            ...sliceSegments(this.segments, 0, start),
+            ...sliceSegments(this.segments, end, this.length),
+        ]);
+    }
+
+    undo() {
+        if (this.canUndo) this.history.pop();
+        return this.segments;
+    }
+
+    _push(segments) {
+        // Pieces that are contiguous in the original (e.g. either side of an empty deletion) join up again
+        const merged = [];
+        for (const segment of segments) {
+            const last = merged[merged.length - 1];
+            if (last && last.end === segment.start) {
+                last.end = segment.end;
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+
+        // An edit that removes everything isn't useful - leave the take as it is
+        if (merged.length === 0) return null;
+
+        this.history.push(merged);
+        return merged;
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * Take Review Player
+ * Plays the finished take in the page with a zoomable waveform and playhead, so it can be checked
+ * (length, speed, clipping) before it's downloaded or uploaded. Playback uses an <audio> element on
+ * the WAV itself, so it runs at the rate in the header - a take with missing audio sounds fast here
+ * too. Waveform peaks come from the audio worker for whatever range is on screen.
+ * Click seeks; dragging selects a range for the trim editor.
+ */
+
+const CONFIG = {
+    MIN_VIEW_SECONDS: 0.02,     // Deepest zoom
+    ZOOM_STEP: 2,               // Zoom buttons halve/double the visible span
+    WHEEL_ZOOM_RATE: 0.002,     // Per wheel delta unit
+    DRAG_THRESHOLD_PX: 4,       // Pointer movement that turns a click (seek) into a selection
+};
+
+const COLORS = {
+    wave: '#4facfe',
+    centre: 'rgba(255, 255, 255, 0.15)',
+    playhead: '#f5576c',
+    selection: 'rgba(255, 255, 255, 0.15)',
+};
+
+// 83.25 -> "1:23.2"
+const formatTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+};
+
+export class TakeReview {
+    /**
+     * requestPeaks(start, end, columns) resolves with a Float32Array of min/max pairs (or null)
+     */
+    constructor({ canvas, playButton, timeLabel, zoomInButton, zoomOutButton }, requestPeaks) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.playButton = playButton;
+        this.timeLabel = timeLabel;
+        this.requestPeaks = requestPeaks;
+
+        this.audio = new Audio();
+        this.url = null;
+        this.sampleRate = 0;
+        this.frames = 0;
+        this.view = { start: 0, end: 0 };   // Visible frame range
+
+        // Waveform for `cacheRange`, drawn once per peaks response and composited every frame
+        this.cache = document.createElement('canvas');
+        this.cacheRange = null;
+        this.peaksPending = false;
+        this.peaksStale = false;
+        this.frameId = null;
+        this.drag = null;           // { anchor, clientX, selecting } while the pointer is down
+        this.selection = null;      // { start, end } frames, or null
+        this.onSelectionChange = () => {};
+
+        this.audio.addEventListener('play', () => this._onPlayState());
+        this.audio.addEventListener('pause', () => this._onPlayState());
+        this.audio.addEventListener('ended', () => this._onPlayState());
+        this.audio.addEventListener('timeupdate', () => this._scheduleDraw());
+
+        playButton.onclick = () => this.togglePlay();
+        zoomInButton.onclick = () => this.zoom(1 / CONFIG.ZOOM_STEP, this._zoomAnchor());
+        zoomOutButton.onclick = () => this.zoom(CONFIG.ZOOM_STEP, this._zoomAnchor());
+
+        canvas.addEventListener('pointerdown', (event) => this._onPointerDown(event));
+        canvas.addEventListener('pointermove', (event) => this._onPointerMove(event));
+        canvas.addEventListener('pointerup', () => this._onPointerUp());
+        canvas.addEventListener('pointercancel', () => { this.drag = null; });
+        canvas.addEventListener('wheel', (event) => this._onWheel(event), { passive: false });
+    }
+
+    get currentFrame() {
+        return this.audio.currentTime * this.sampleRate;
+    }
+
+    /**
+     * Show a new take (a WAV Blob with `frames` sample frames at `sampleRate`)
+     */
+    load(blob, { sampleRate, frames }) {
+        this.unload();
+        this.url = URL.createObjectURL(blob);
+        this.audio.src = this.url;
+        this.sampleRate = sampleRate;
+        this.frames = frames;
+        this.view = { start: 0, end: frames };
+        this.setSelection(null);
+        this.resize();
+    }
+
+    unload() {
+        this.audio.pause();
+        this.audio.removeAttribute('src');
+        this.audio.load();
+        if (this.url) URL.revokeObjectURL(this.url);
+        this.url = null;
+        this.frames = 0;
+        this.cacheRange = null;
+    }
+
+    /**
+     * Match the canvas to its laid-out size (call on load and window resize)
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(this.canvas.clientWidth * ratio);
+        this.canvas.height = Math.round(this.canvas.clientHeight * ratio);
+        this.cache.width = this.canvas.width;
+        this.cache.height = this.canvas.height;
+        this.cacheRange = null;
+        this._fetchPeaks();
+        this._scheduleDraw();
+    }
+
+    togglePlay() {
+        if (!this.url) return;
+        if (this.audio.paused) {
+            this.audio.play().catch((err) => console.warn('Playback failed:', err));
+        } else {
+            this.audio.pause();
+        }
+    }
+
+    setSelection(selection) {
+        this.selection = selection;
+        this.onSelectionChange(selection);
+        this._scheduleDraw();
+    }
+
+    seek(frame) {
+        if (!this.url) return;
+        this.audio.currentTime = Math.max(0, Math.min(frame, this.frames)) / this.sampleRate;
+        this._scheduleDraw();
+    }
+
+    /**
+     * Scale the visible span by `factor` (<1 zooms in), keeping `anchor` (a frame) where it is
+     */
+    zoom(factor, anchor) {
+        const { start, end } = this.view;
+        const minSpan = Math.min(this.frames, Math.max(1, CONFIG.MIN_VIEW_SECONDS * this.sampleRate));
+        const span = Math.max(minSpan, Math.min(this.frames, (end - start) * factor));
+        const position = end > start ? (anchor - start) / (end - start) : 0;
+        this._setView(anchor - position * span, span);
+    }
+
+    pan(frames) {
+        this._setView(this.view.start + frames, this.view.end - this.view.start);
+    }
+
+    _setView(start, span) {
+        start = Math.max(0, Math.min(start, this.frames - span));
+        if (start === this.view.start && start + span === this.view.end) return;
+        this.view = { start, end: start + span };
+        this._fetchPeaks();
+        this._scheduleDraw();
+    }
+
+    // Zoom around the playhead if it's on screen, otherwise around the middle
+    _zoomAnchor() {
+        const frame = this.currentFrame;
+        const { start, end } = this.view;
+        return frame >= start && frame <= end ? frame : (start + end) / 2;
+    }
+
+    _frameAt(clientX) {
+        const rect = this.canvas.getBoundingClientRect();
+        const position = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+        return this.view.start + position * (this.view.end - this.view.start);
+    }
+
+    _onPointerDown(event) {
+        if (!this.url) return;
+        this.canvas.setPointerCapture(event.pointerId);
+        this.drag = { anchor: this._frameAt(event.clientX), clientX: event.clientX, selecting: false };
+    }
+
+    _onPointerMove(event) {
+        const { drag } = this;
+        if (!drag) return;
+        if (!drag.selecting && Math.abs(event.clientX - drag.clientX) < CONFIG.DRAG_THRESHOLD_PX) return;
+
+        drag.selecting = true;
+        const clamp = (frame) => Math.round(Math.max(0, Math.min(frame, this.frames)));
+        const frame = clamp(this._frameAt(event.clientX));
+        const anchor = clamp(drag.anchor);
+        this.setSelection({ start: Math.min(anchor, frame), end: Math.max(anchor, frame) });
+    }
+
+    _onPointerUp() {
+        const { drag } = this;
+        this.drag = null;
+        if (!drag || drag.selecting) return;
+
+        // A plain click seeks and drops the selection
+        this.seek(drag.anchor);
+        if (this.selection) this.setSelection(null);
+    }
+
+    _onWheel(event) {
+        if (!this.url) return;
+        event.preventDefault();
+
+        const framesPerPixel = (this.view.end - this.view.start) / (this.canvas.clientWidth || 1);
+        const horizontal = event.shiftKey ? event.deltaY : event.deltaX;
+
+        if (Math.abs(horizontal) > Math.abs(event.deltaY) || event.shiftKey) {
+            this.pan(horizontal * framesPerPixel);
+        } else {
+            this.zoom(Math.exp(event.deltaY * CONFIG.WHEEL_ZOOM_RATE), this._frameAt(event.clientX));
+        }
+    }
+
+    _onPlayState() {
+        this.playButton.textContent = this.audio.paused ? 'Play' : 'Pause';
+        this._scheduleDraw();
+    }
+
+    /**
+     * Ask for peaks of the visible range; one request at a time, the latest view wins
+     */
+    async _fetchPeaks() {
+        if (!this.url || this.canvas.width === 0) return;
+        if (this.peaksPending) {
+            this.peaksStale = true;
+            return;
+        }
+
+        this.peaksPending = true;
+        const start = Math.floor(this.view.start);
+        const end = Math.ceil(this.view.end);
+        const url = this.url;
+
+        try {
+            const peaks = await this.requestPeaks(start, end, this.canvas.width);
+            if (peaks && url === this.url) {
+                this._drawCache(peaks);
+                this.cacheRange = { start, end };
+                this._scheduleDraw();
+            }
+        } catch (err) {
+            console.warn('Could not read waveform:', err);
+        } finally {
+            this.peaksPending = false;
+        }
+
+        if (this.peaksStale) {
+            this.peaksStale = false;
+            this._fetchPeaks();
+        }
+    }
+
+    _drawCache(peaks) {
+        const context = this.cache.getContext('2d');
+        const { width, height } = this.cache;
+        const mid = height / 2;
+
+        context.clearRect(0, 0, width, height);
+        context.fillStyle = COLORS.centre;
+        context.fillRect(0, Math.floor(mid), width, 1);
+
+        context.fillStyle = COLORS.wave;
+        for (let x = 0; x < peaks.length / 2; x++) {
+            const top = Math.floor(mid - peaks[x * 2 + 1] * mid);
+            const bottom = Math.ceil(mid - peaks[x * 2] * mid);
+            context.fillRect(x, top, 1, Math.max(1, bottom - top));
+        }
+    }
+
+    _scheduleDraw() {
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => this._draw());
+        }
+    }
+
+    _draw() {
+        this.frameId = null;
+
+        // Keep the playhead on screen while playing (page forward when it runs off the right)
+        const frame = this.currentFrame;
+        const span = this.view.end - this.view.start;
+        if (!this.audio.paused && !this.drag && (frame > this.view.end || frame < this.view.start)) {
+            this._setView(frame, span);
+        }
+
+        const { context } = this;
+        const { width, height } = this.canvas;
+        const framesPerPixel = span / width || 1;
+        context.clearRect(0, 0, width, height);
+
+        // Peaks for a previous view are stretched into place until the new ones arrive
+        if (this.cacheRange) {
+            const x = (this.cacheRange.start - this.view.start) / framesPerPixel;
+            const w = (this.cacheRange.end - this.cacheRange.start) / framesPerPixel;
+            context.drawImage(this.cache, x, 0, w, height);
+        }
+
+        if (this.selection) {
+            const x = (this.selection.start - this.view.start) / framesPerPixel;
+            const w = (this.selection.end - this.selection.start) / framesPerPixel;
+            context.fillStyle = COLORS.selection;
+            context.fillRect(x, 0, Math.max(1, w), height);
+        }
+
+        const playheadX = Math.round((frame - this.view.start) / framesPerPixel);
+        if (playheadX >= 0 && playheadX <= width) {
+            context.fillStyle = COLORS.playhead;
+            context.fillRect(playheadX - 1, 0, 2, height);
+        }
+
+        const duration = this.sampleRate > 0 ? this.frames / this.sampleRate : 0;
+        this.timeLabel.textContent = `${formatTime(this.audio.currentTime)} / ${formatTime(duration)}`;
+
+        // timeupdate only fires a few times a second - animate the playhead while playing
+        if (!this.audio.paused) this._scheduleDraw();
+    }
+}
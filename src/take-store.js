@@ -0,0 +1,51 @@
+/**
+ * Saved Takes
+ * Every finished recording is kept in IndexedDB with its WAV and a summary of how it was captured,
+ * so a session can collect many takes and export them later. Records look like
+ * { id, name, createdAt, frames, duration, sampleRate, bitDepth, blob, silence, diagnostics, edit }.
+ * `blob` is always the recording as captured; an edit is stored beside it as
+ * { id, history, blob, frames, duration, size } (see latestVersion in take-edits.js).
+ */
+
+import { openDatabase, promisify, transactionDone, STORES } from './idb.js';
+
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORES.TAKES, mode);
+    const result = await action(transaction.objectStore(STORES.TAKES));
+    await transactionDone(transaction);
+    return result;
+}
+
+export function saveTake(take) {
+    return withStore('readwrite', (store) => promisify(store.put(take)));
+}
+
+/**
+ * All takes, oldest first
+ */
+export function listTakes() {
+    return withStore('readonly', (store) => promisify(store.index('createdAt').getAll()));
+}
+
+export function getTake(id) {
+    return withStore('readonly', (store) => promisify(store.get(id)));
+}
+
+/**
+ * Merge `changes` into a stored take; resolves with the updated record (or null if it's gone)
+ */
+export function updateTake(id, changes) {
+    return withStore('readwrite', async (store) => {
+        const take = await promisify(store.get(id));
+        if (!take) return null;
+
+        const updated = { ...take, ...changes };
+        store.put(updated);
+        return updated;
+    });
+}
+
+export function deleteTake(id) {
+    return withStore('readwrite', (store) => promisify(store.delete(id)));
+}
@@ -0,0 +1,213 @@
+/**
+ * Resumable Chunked Upload
+ * tus 1.0-style upload of a finished recording: POST creates the upload, PATCH sends chunks at an
+ * explicit Upload-Offset, HEAD asks the server where to continue after a failure. The upload URL
+ * is remembered per file, so a reload can resume instead of starting over.
+ */
+
+const CONFIG = {
+    CHUNK_BYTES: 1024 * 1024,
+    RETRY_DELAYS_MS: [1000, 2000, 4000, 8000, 16000],   // Per failure; reset after a chunk succeeds
+    STORAGE_PREFIX: 'upload:',                          // localStorage key prefix for resumable URLs
+};
+
+const TUS_VERSION = '1.0.0';
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Status codes worth retrying; anything else is a real rejection
+const isRetryable = (status) => status === 0 || status === 408 || status === 423 || status === 429 || status >= 500;
+
+export class UploadError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+/**
+ * Tus Upload-Metadata header: comma-separated "key base64(utf-8 value)" pairs
+ */
+function encodeMetadata(metadata) {
+    const base64 = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+    return Object.entries(metadata)
+        .map(([key, value]) => `${key} ${base64(String(value))}`)
+        .join(',');
+}
+
+export class ChunkedUploader {
+    /**
+     * onProgress(bytesUploaded, bytesTotal) is called after every chunk. `fingerprint` identifies
+     * the file for resuming (defaults to name + size + modification time).
+     */
+    constructor(endpoint, file, {
+        fileName, fingerprint, metadata = {}, chunkSize = CONFIG.CHUNK_BYTES, onProgress = () => {},
+    } = {}) {
+        this.endpoint = endpoint;
+        this.file = file;
+        this.fileName = fileName;
+        this.fingerprint = fingerprint || `${fileName}|${file.size}|${file.lastModified || 0}`;
+        this.metadata = { filename: fileName, filetype: file.type || 'application/octet-stream', ...metadata };
+        this.chunkSize = chunkSize;
+        this.onProgress = onProgress;
+
+        this.uploadUrl = null;
+        this.offset = 0;
+        this.aborted = false;
+        this.controller = null;
+    }
+
+    get storageKey() {
+        return `${CONFIG.STORAGE_PREFIX}${this.endpoint}|${this.fingerprint}`;
+    }
+
+    /**
+     * Upload the whole file, resuming a previous attempt if the server still has it.
+     * Resolves with the upload URL.
+     */
+    async start() {
+        this.aborted = false;
+        this.uploadUrl = localStorage.getItem(this.storageKey);
+
+        await this._withRetry(async () => {
+            if (this.uploadUrl) {
+                const resumed = await this._fetchOffset();
+                if (resumed) return;
+            }
+            await this._create();
+        });
+
+        while (this.offset < this.file.size) {
+            await this._withRetry(() => this._sendChunk());
+        }
+
+        localStorage.removeItem(this.storageKey);
+        return this.uploadUrl;
+    }
+
+    abort() {
+        this.aborted = true;
+        this.controller?.abort();
+    }
+
+    async _create() {
+        const response = await this._request(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Upload-Length': String(this.file.size),
+                'Upload-Metadata': encodeMetadata(this.metadata),
+            },
+        });
+        if (response.status !== 201) {
+            throw new UploadError(`Server refused upload (${response.status})`, response.status);
+        }
+
+        const location = response.headers.get('Location');
+        if (!location) throw new UploadError('Server did not return an upload URL (is Location exposed via CORS?)', 0);
+
+        this.uploadUrl = new URL(location, this.endpoint).href;
+        this.offset = 0;
+        localStorage.setItem(this.storageKey, this.uploadUrl);
+        this.onProgress(0, this.file.size);
+    }
+
+    /**
+     * Ask the server how much of the upload it has. Returns false if it no longer knows it.
+     */
+    async _fetchOffset() {
+        const response = await this._request(this.uploadUrl, { method: 'HEAD' });
+        if (response.status === 404 || response.status === 410) {
+            localStorage.removeItem(this.storageKey);
+            this.uploadUrl = null;
+            return false;
+        }
+        if (!response.ok) {
+            throw new UploadError(`Could not resume upload (${response.status})`, response.status);
+        }
+
+        this.offset = Number(response.headers.get('Upload-Offset'));
+        if (!Number.isFinite(this.offset)) throw new UploadError('Server did not return Upload-Offset', 0);
+        this.onProgress(this.offset, this.file.size);
+        return true;
+    }
+
+    async _sendChunk() {
+        // The server forgot the upload (expired or restarted) - start it again
+        if (!this.uploadUrl) {
+            await this._create();
+        }
+
+        const end = Math.min(this.offset + this.chunkSize, this.file.size);
+        const response = await this._request(this.uploadUrl, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(this.offset),
+            },
+            body: this.file.slice(this.offset, end),
+        });
+
+        // We and the server disagree about the offset (e.g. a chunk landed but the reply was lost)
+        if (response.status === 409) {
+            await this._fetchOffset();
+            return;
+        }
+        if (response.status === 404 || response.status === 410) {
+            localStorage.removeItem(this.storageKey);
+            this.uploadUrl = null;
+            return;
+        }
+        if (response.status !== 204 && response.status !== 200) {
+            throw new UploadError(`Chunk rejected (${response.status})`, response.status);
+        }
+
+        this.offset = Number(response.headers.get('Upload-Offset')) || end;
+        this.onProgress(this.offset, this.file.size);
+    }
+
+    async _request(url, { headers, ...options }) {
+        this.controller = new AbortController();
+        try {
+            return await fetch(url, {
+                ...options,
+                headers: { 'Tus-Resumable': TUS_VERSION, ...headers },
+                signal: this.controller.signal,
+            });
+        } catch (err) {
+            if (this.aborted) throw new UploadError('Upload cancelled', 0);
+            // fetch only rejects on network failure
+            throw new UploadError(`Network error: ${err.message}`, 0);
+        } finally {
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Run a step, retrying network failures and temporary server errors with backoff.
+     * While the browser is offline, waits for it to come back without using up attempts.
+     */
+    async _withRetry(step) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await step();
+            } catch (err) {
+                const retryable = err instanceof UploadError && isRetryable(err.status);
+                if (this.aborted || !retryable || attempt >= CONFIG.RETRY_DELAYS_MS.length) throw err;
+
+                if (!navigator.onLine) {
+                    console.warn('Upload paused - waiting for the network');
+                    await new Promise((resolve) => window.addEventListener('online', resolve, { once: true }));
+                    attempt--;
+                } else {
+                    console.warn(`${err.message} - retrying in ${CONFIG.RETRY_DELAYS_MS[attempt]}ms`);
+                    await wait(CONFIG.RETRY_DELAYS_MS[attempt]);
+                }
+                if (this.aborted) throw new UploadError('Upload cancelled', 0);
+
+                // After a failed PATCH the server may have part of the chunk - ask before resending
+                if (this.uploadUrl) await this._fetchOffset().catch(() => {});
+            }
+        }
+    }
+}
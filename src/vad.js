@@ -0,0 +1,179 @@
+/**
+ * Voice Activity Detection
+ * Shared by the worker and the prototype entry points. Classifies 10 ms frames using energy
+ * against an adaptive noise floor, with zero-crossing rate to catch quiet unvoiced onsets
+ * ("s", "f", "h") that energy alone misses. Attack and hangover times smooth the decision,
+ * and speech onsets are reported a little early so soft word starts aren't clipped.
+ */
+
+const CONFIG = {
+    FRAME_MS: 10,
+    ENERGY_MARGIN_DB: 10,       // Voiced speech: this far above the noise floor
+    UNVOICED_MARGIN_DB: 5,      // Fricatives: a smaller margin is enough when ZCR is high
+    UNVOICED_ZCR_HZ: 2500,      // Zero-crossing frequency that marks a frame as noise-like/fricative
+    MIN_SPEECH_DB: -65,         // Nothing quieter than this counts, however low the floor goes
+    FLOOR_FALL: 0.5,            // Noise floor follows quieter frames quickly...
+    FLOOR_RISE: 0.02,           // ...louder non-speech frames slowly...
+    FLOOR_RISE_IN_SPEECH: 0.001, // ...and creeps up during speech so a new steady noise isn't speech forever
+    ATTACK_MS: 30,              // Candidate speech needed before the detector switches on
+    HANGOVER_MS: 300,           // Non-speech needed before it switches off (keeps word tails and short gaps)
+    PRE_ROLL_MS: 100,           // Onsets are moved this much earlier than the first speech frame
+};
+
+const toDb = (meanSquare) => 10 * Math.log10(meanSquare + 1e-12);
+
+export class VoiceActivityDetector {
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.options = { ...CONFIG, ...options };
+
+        const msToFrames = (ms) => Math.max(1, Math.round(ms / this.options.FRAME_MS));
+        this.frameLength = Math.max(1, Math.round(sampleRate * this.options.FRAME_MS / 1000));
+        this.attackFrames = msToFrames(this.options.ATTACK_MS);
+        this.hangoverFrames = msToFrames(this.options.HANGOVER_MS);
+        this.preRollSamples = Math.round(sampleRate * this.options.PRE_ROLL_MS / 1000);
+
+        this.frame = new Float32Array(this.frameLength);
+        this.reset();
+    }
+
+    reset() {
+        this.frameFill = 0;
+        this.position = 0;          // Samples seen so far (including a partial frame)
+        this.noiseFloorDb = null;   // Set from the first frame
+        this.isSpeech = false;
+        this.candidateRun = 0;      // Consecutive candidate frames while off
+        this.candidateStart = 0;    // First sample of that run
+        this.silentRun = 0;         // Consecutive non-candidate frames while on
+        this.lastPrevious = 0;      // Last sample of the previous frame, for zero crossings across frames
+    }
+
+    /**
+     * How far back an onset can be reported - callers that trim need to keep this much audio
+     */
+    get lookbackSamples() {
+        return (this.attackFrames + 1) * this.frameLength + this.preRollSamples;
+    }
+
+    get noiseFloor() {
+        return this.noiseFloorDb;
+    }
+
+    /**
+     * Analyse a chunk of any size. Returns the state changes it caused as
+     * { type: 'start' | 'end', sample } with sample positions counted from the first call.
+     */
+    process(samples) {
+        const transitions = [];
+        let offset = 0;
+
+        while (offset < samples.length) {
+            const count = Math.min(samples.length - offset, this.frameLength - this.frameFill);
+            this.frame.set(samples.subarray(offset, offset + count), this.frameFill);
+            this.frameFill += count;
+            offset += count;
+
+            if (this.frameFill === this.frameLength) {
+                const frameStart = this.position + offset - this.frameLength;
+                const transition = this._classify(frameStart);
+                if (transition) transitions.push(transition);
+                this.frameFill = 0;
+            }
+        }
+
+        this.position += samples.length;
+        return transitions;
+    }
+
+    _classify(frameStart) {
+        const frame = this.frame;
+        let sumOfSquares = 0;
+        let crossings = 0;
+        let previous = this.lastPrevious;
+
+        for (let i = 0; i < frame.length; i++) {
+            const sample = frame[i];
+            sumOfSquares += sample * sample;
+            if ((sample >= 0) !== (previous >= 0)) crossings++;
+            previous = sample;
+        }
+        this.lastPrevious = previous;
+
+        const energyDb = toDb(sumOfSquares / frame.length);
+        const zcrHz = (crossings / frame.length) * this.sampleRate / 2;
+        const isCandidate = this._isCandidate(energyDb, zcrHz);
+        this._updateNoiseFloor(energyDb, isCandidate);
+
+        const frameEnd = frameStart + frame.length;
+
+        if (!this.isSpeech) {
+            if (!isCandidate) {
+                this.candidateRun = 0;
+                return null;
+            }
+            if (this.candidateRun === 0) this.candidateStart = frameStart;
+            this.candidateRun++;
+
+            if (this.candidateRun < this.attackFrames) return null;
+            this.isSpeech = true;
+            this.silentRun = 0;
+            return { type: 'start', sample: Math.max(0, this.candidateStart - this.preRollSamples) };
+        }
+
+        if (isCandidate) {
+            this.silentRun = 0;
+            return null;
+        }
+
+        this.silentRun++;
+        if (this.silentRun < this.hangoverFrames) return null;
+        this.isSpeech = false;
+        this.candidateRun = 0;
+        return { type: 'end', sample: frameEnd };
+    }
+
+    _isCandidate(energyDb, zcrHz) {
+        if (this.noiseFloorDb === null || energyDb < this.options.MIN_SPEECH_DB) return false;
+
+        const aboveFloor = energyDb - this.noiseFloorDb;
+        if (aboveFloor >= this.options.ENERGY_MARGIN_DB) return true;
+
+        return zcrHz >= this.options.UNVOICED_ZCR_HZ && aboveFloor >= this.options.UNVOICED_MARGIN_DB;
+    }
+
+    _updateNoiseFloor(energyDb, isCandidate) {
+        if (this.noiseFloorDb === null) {
+            this.noiseFloorDb = energyDb;
+            return;
+        }
+
+        let rate;
+        if (energyDb < this.noiseFloorDb) {
+            rate = this.options.FLOOR_FALL;
+        } else {
+            rate = isCandidate || this.isSpeech ? this.options.FLOOR_RISE_IN_SPEECH : this.options.FLOOR_RISE;
+        }
+        this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+    }
+}
+
+/**
+ * Speech regions of a whole recording, as [{ start, end }] sample ranges
+ */
+export function findSpeechSegments(samples, sampleRate, options) {
+    const vad = new VoiceActivityDetector(sampleRate, options);
+    const segments = [];
+    let start = null;
+
+    for (const { type, sample } of vad.process(samples)) {
+        if (type === 'start') {
+            start = sample;
+        } else {
+            segments.push({ start, end: Math.min(sample, samples.length) });
+            start = null;
+        }
+    }
+    if (start !== null) segments.push({ start, end: samples.length });
+
+    return segments;
+}
@@ -0,0 +1,132 @@
+/**
+ * Reading Finished Takes (worker only)
+ * Pulls sample ranges and waveform peaks out of a WAV Blob a slice at a time, so a long take
+ * stored in OPFS is never decoded in one piece.
+ */
+
+import { buildWavHeader, decodeSamples, describeFormat, parseWavHeader } from './wav.js';
+
+const CONFIG = {
+    HEADER_BYTES: 4096,         // First read; grown if the data chunk starts later than this
+    SLICE_FRAMES: 1 << 18,      // Frames decoded per read
+};
+
+export class WavReader {
+    static async open(blob) {
+        for (let bytes = CONFIG.HEADER_BYTES; ; bytes *= 4) {
+            const header = parseWavHeader(await blob.slice(0, bytes).arrayBuffer());
+            if (header) return new WavReader(blob, header);
+            if (bytes >= blob.size) throw new Error('WAV has no data chunk');
+        }
+    }
+
+    constructor(blob, { format, sampleRate, dataOffset, dataSize }) {
+        this.blob = blob;
+        this.format = format;
+        this.sampleRate = sampleRate;
+        this.dataOffset = dataOffset;
+        this.dataSize = dataSize;
+        // A header that was never patched (crash mid-take) can claim more than the file holds
+        this.frames = Math.floor(Math.min(dataSize, blob.size - dataOffset) / format.blockAlign);
+    }
+
+    /**
+     * Interleaved Float32 samples for frames [start, end)
+     */
+    async read(start, end) {
+        start = Math.max(0, Math.min(start, this.frames));
+        end = Math.max(start, Math.min(end, this.frames));
+
+        const bytes = await this.slice(start, end).arrayBuffer();
+        return decodeSamples(new Uint8Array(bytes), this.format);
+    }
+
+    /**
+     * The encoded bytes of frames [start, end) as a Blob - a reference into the file, not a copy
+     */
+    slice(start, end) {
+        const { blockAlign } = this.format;
+        return this.blob.slice(this.dataOffset + start * blockAlign, this.dataOffset + end * blockAlign);
+    }
+
+    /**
+     * Whatever follows the audio (e.g. metadata chunks) as a Blob; empty when the data runs to the end
+     */
+    trailing() {
+        return this.blob.slice(this.dataOffset + this.dataSize + (this.dataSize % 2));
+    }
+
+    /**
+     * One channel as a mono WAV Blob. The sample bytes are copied as they are (no requantising)
+     * and chunks after the audio (metadata, cue points) are carried over.
+     */
+    async extractChannel(channel) {
+        const { bitDepth, bytesPerSample, blockAlign } = this.format;
+        const parts = [];
+
+        for (let start = 0; start < this.frames; start += CONFIG.SLICE_FRAMES) {
+            const end = Math.min(this.frames, start + CONFIG.SLICE_FRAMES);
+            const bytes = new Uint8Array(await this.slice(start, end).arrayBuffer());
+            const mono = new Uint8Array((end - start) * bytesPerSample);
+            for (let frame = 0, to = 0; frame < end - start; frame++) {
+                const from = frame * blockAlign + channel * bytesPerSample;
+                for (let byte = 0; byte < bytesPerSample; byte++) mono[to++] = bytes[from + byte];
+            }
+            parts.push(mono);
+        }
+
+        const dataSize = this.frames * bytesPerSample;
+        const trailing = this.trailing();
+        const header = buildWavHeader(describeFormat(bitDepth, 1), this.sampleRate, dataSize, trailing.size);
+        const padding = dataSize % 2 ? [new Uint8Array(1)] : [];
+        return new Blob([header, ...parts, ...padding, trailing], { type: 'audio/wav' });
+    }
+
+    /**
+     * Min/max pairs for `columns` equal slices of frames [start, end), across all channels
+     */
+    async peaks(start, end, columns) {
+        start = Math.max(0, Math.min(start, this.frames));
+        end = Math.max(start, Math.min(end, this.frames));
+
+        const peaks = new Float32Array(columns * 2);
+        const framesPerColumn = (end - start) / columns;
+        if (framesPerColumn === 0) return peaks;
+
+        const { channels } = this.format;
+        let column = 0;
+        let columnEnd = start + framesPerColumn;
+        let min = Infinity;
+        let max = -Infinity;
+
+        // A column with no frame of its own (zoomed in past one frame per column) repeats the last one
+        const closeColumn = () => {
+            const empty = min === Infinity;
+            peaks[column * 2] = empty ? peaks[column * 2 - 2] || 0 : min;
+            peaks[column * 2 + 1] = empty ? peaks[column * 2 - 1] || 0 : max;
+            column++;
+            columnEnd = start + (column + 1) * framesPerColumn;
+            min = Infinity;
+            max = -Infinity;
+        };
+
+        for (let sliceStart = start; sliceStart < end; sliceStart += CONFIG.SLICE_FRAMES) {
+            const sliceEnd = Math.min(end, sliceStart + CONFIG.SLICE_FRAMES);
+            const samples = await this.read(sliceStart, sliceEnd);
+
+            for (let frame = sliceStart; frame < sliceEnd; frame++) {
+                while (frame >= columnEnd && column < columns) closeColumn();
+
+                const base = (frame - sliceStart) * channels;
+                for (let channel = 0; channel < channels; channel++) {
+                    const sample = samples[base + channel];
+                    if (sample < min) min = sample;
+                    if (sample > max) max = sample;
+                }
+            }
+        }
+        while (column < columns) closeColumn();
+
+        return peaks;
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Incremental WAV Writer (worker only)
+ * Writes a header placeholder, appends encoded samples as they arrive and patches the sizes at
+ * the end, so a recording never has to sit in memory as one big buffer. Bytes go to the Origin
+ * Private File System through a sync access handle, or to Blob parts when OPFS isn't available.
+ */
+
+import { buildWavHeader } from './wav.js';
+
+const CONFIG = {
+    OPFS_DIRECTORY: 'recordings',
+    BLOB_PART_BYTES: 1024 * 1024,   // Pending bytes folded into one Blob part (lets the browser page it out)
+};
+
+/**
+ * Directory holding in-progress and recently finished recordings
+ */
+export async function getRecordingsDirectory() {
+    const root = await navigator.storage.getDirectory();
+    return root.getDirectoryHandle(CONFIG.OPFS_DIRECTORY, { create: true });
+}
+
+/**
+ * Writes to a file in the Origin Private File System
+ */
+class OpfsSink {
+    static isSupported() {
+        return typeof navigator !== 'undefined'
+            && !!navigator.storage?.getDirectory
+            && typeof FileSystemFileHandle !== 'undefined'
+            && 'createSyncAccessHandle' in FileSystemFileHandle.prototype;
+    }
+
+    static async open(fileName) {
+        const directory = await getRecordingsDirectory();
+        const fileHandle = await directory.getFileHandle(fileName, { create: true });
+        const accessHandle = await fileHandle.createSyncAccessHandle();
+        accessHandle.truncate(0);
+        return new OpfsSink(directory, fileHandle, accessHandle);
+    }
+
+    constructor(directory, fileHandle, accessHandle) {
+        this.kind = 'opfs';
+        this.directory = directory;
+        this.fileHandle = fileHandle;
+        this.accessHandle = accessHandle;
+        this.size = 0;
+    }
+
+    get fileName() {
+        return this.fileHandle.name;
+    }
+
+    append(bytes) {
+        this.accessHandle.write(bytes, { at: this.size });
+        this.size += bytes.length;
+    }
+
+    writeAt(offset, bytes) {
+        this.accessHandle.write(bytes, { at: offset });
+    }
+
+    truncate(size) {
+        this.accessHandle.truncate(size);
+        this.size = size;
+    }
+
+    /**
+     * Push written bytes to disk so they survive the tab being killed
+     */
+    flush() {
+        this.accessHandle.flush();
+    }
+
+    async finalize() {
+        this.accessHandle.flush();
+        this.accessHandle.close();
+        this.accessHandle = null;
+        return this.fileHandle.getFile();
+    }
+
+    async discard() {
+        this.accessHandle?.close();
+        this.accessHandle = null;
+        await this.directory.removeEntry(this.fileHandle.name).catch(() => {});
+    }
+}
+
+/**
+ * In-memory fallback. The first write (the header) stays patchable; everything after it is
+ * folded into Blob parts, which browsers can keep out of the JS heap.
+ */
+class BlobSink {
+    constructor() {
+        this.kind = 'memory';
+        this.head = null;
+        this.parts = [];
+        this.pending = [];
+        this.pendingBytes = 0;
+        this.unsaved = [];      // Data bytes not yet checkpointed (see SessionJournal)
+        this.size = 0;
+    }
+
+    get fileName() {
+        return null;
+    }
+
+    append(bytes) {
+        if (this.head === null) {
+            this.head = bytes.slice();
+        } else {
+            this.pending.push(bytes);
+            this.unsaved.push(bytes);
+            this.pendingBytes += bytes.length;
+            if (this.pendingBytes >= CONFIG.BLOB_PART_BYTES) this._foldPending();
+        }
+        this.size += bytes.length;
+    }
+
+    writeAt(offset, bytes) {
+        if (!this.head || offset + bytes.length > this.head.length) {
+            throw new RangeError('BlobSink can only patch bytes inside the header');
+        }
+        this.head.set(bytes, offset);
+    }
+
+    truncate(size) {
+        this._foldPending();
+        this.parts = [new Blob(this.parts).slice(0, size - this.head.length)];
+        this.size = size;
+    }
+
+    /**
+     * Hand over the data appended since the last call, as one Blob
+     */
+    takeUnsaved() {
+        const blob = new Blob(this.unsaved);
+        this.unsaved = [];
+        return blob;
+    }
+
+    async finalize() {
+        this._foldPending();
+        return new Blob([this.head || new Uint8Array(0), ...this.parts], { type: 'audio/wav' });
+    }
+
+    async discard() {
+        this.head = null;
+        this.parts = [];
+        this.pending = [];
+        this.pendingBytes = 0;
+        this.unsaved = [];
+    }
+
+    _foldPending() {
+        if (this.pending.length === 0) return;
+        this.parts.push(new Blob(this.pending));
+        this.pending = [];
+        this.pendingBytes = 0;
+    }
+}
+
+/**
+ * Open the best available sink: OPFS first, Blob parts if that fails
+ */
+export async function openSink(fileName) {
+    if (OpfsSink.isSupported()) {
+        try {
+            return await OpfsSink.open(fileName);
+        } catch (err) {
+            console.warn(`OPFS unavailable (${err.message}) - keeping recording in memory`);
+        }
+    }
+    return new BlobSink();
+}
+
+export class WavWriter {
+    constructor(sink, format, sampleRate) {
+        this.sink = sink;
+        this.format = format;
+        this.sampleRate = sampleRate;
+        this.dataSize = 0;
+        this.trailingSize = 0;
+
+        // Placeholder header; sizes are patched in finish()
+        const header = new Uint8Array(buildWavHeader(format, sampleRate, 0));
+        this.sink.append(header);
+        this.dataOffset = header.length;
+    }
+
+    get sampleCount() {
+        return this.dataSize / this.format.blockAlign;
+    }
+
+    append(bytes) {
+        if (bytes.length === 0) return;
+        this.sink.append(bytes);
+        this.dataSize += bytes.length;
+    }
+
+    /**
+     * Drop audio past dataSize bytes (e.g. trailing silence found after it was written)
+     */
+    truncate(dataSize) {
+        if (dataSize >= this.dataSize) return;
+        this.sink.truncate(this.dataOffset + dataSize);
+        this.dataSize = dataSize;
+    }
+
+    patchHeader() {
+        this.sink.writeAt(0, new Uint8Array(buildWavHeader(this.format, this.sampleRate, this.dataSize, this.trailingSize)));
+    }
+
+    /**
+     * Patch the header and return the finished file as a Blob (or an OPFS File).
+     * `trailing` is chunk bytes to place after the audio (metadata only known once the take is over).
+     */
+    async finish(trailing = null) {
+        // RIFF chunks are word-aligned: odd-sized data (e.g. 24-bit mono) gets a pad byte
+        if (this.dataSize % 2 === 1) {
+            this.sink.append(new Uint8Array(1));
+        }
+        if (trailing?.length) {
+            this.sink.append(trailing);
+            this.trailingSize = trailing.length;
+        }
+        this.patchHeader();
+        return this.sink.finalize();
+    }
+}
@@ -0,0 +1,429 @@
+/**
+ * WAV Encoding Helpers
+ * Sample quantisation (16/24-bit PCM with TPDF dither, 32-bit float) and RIFF/WAVE headers,
+ * plus the reverse (header parsing, sample decoding) for reading finished takes back
+ */
+
+export const WAVE_FORMAT = {
+    PCM: 0x0001,
+    IEEE_FLOAT: 0x0003,
+    EXTENSIBLE: 0xfffe,
+};
+
+// Trailing 14 bytes of the KSDATAFORMAT_SUBTYPE_* GUIDs; the first two bytes are the format tag
+const SUBFORMAT_GUID_TAIL = [0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xaa, 0x00, 0x38, 0x9b, 0x71];
+
+/**
+ * Describe the sample layout for a bit depth (16, 24, or 32 = float)
+ */
+export function describeFormat(bitDepth, channels = 1) {
+    const isFloat = bitDepth === 32;
+    const bytesPerSample = bitDepth / 8;
+
+    return {
+        bitDepth,
+        channels,
+        isFloat,
+        bytesPerSample,
+        blockAlign: bytesPerSample * channels,
+        formatTag: isFloat ? WAVE_FORMAT.IEEE_FLOAT : WAVE_FORMAT.PCM,
+        // WAVE_FORMAT_EXTENSIBLE is required for integer PCM above 16 bits and for more than 2 channels
+        extensible: channels > 2 || (!isFloat && bitDepth > 16),
+    };
+}
+
+/**
+ * Triangular (TPDF) dither noise, +/- 1 LSB peak
+ */
+const tpdf = () => Math.random() - Math.random();
+
+/**
+ * Quantise Float32 samples into little-endian bytes for the given format
+ */
+export function encodeSamples(float32Data, format) {
+    const output = new Uint8Array(float32Data.length * format.bytesPerSample);
+    const view = new DataView(output.buffer);
+
+    if (format.isFloat) {
+        for (let i = 0; i < float32Data.length; i++) {
+            view.setFloat32(i * 4, float32Data[i], true);
+        }
+        return output;
+    }
+
+    const maxValue = format.bitDepth === 24 ? 0x7fffff : 0x7fff;
+    const minValue = -maxValue - 1;
+
+    for (let i = 0; i < float32Data.length; i++) {
+        // Dither before rounding so low-level detail becomes noise instead of distortion
+        const scaled = Math.round(float32Data[i] * maxValue + tpdf());
+        const value = Math.max(minValue, Math.min(maxValue, scaled));
+
+        if (format.bitDepth === 24) {
+            const offset = i * 3;
+            output[offset] = value & 0xff;
+            output[offset + 1] = (value >> 8) & 0xff;
+            output[offset + 2] = (value >> 16) & 0xff;
+        } else {
+            view.setInt16(i * 2, value, true);
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Little-endian sample bytes back to Float32 (interleaved if there are several channels)
+ */
+export function decodeSamples(bytes, format) {
+    const count = Math.floor(bytes.length / format.bytesPerSample);
+    const output = new Float32Array(count);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (format.isFloat) {
+        for (let i = 0; i < count; i++) output[i] = view.getFloat32(i * 4, true);
+    } else if (format.bitDepth === 24) {
+        for (let i = 0; i < count; i++) {
+            const offset = i * 3;
+            // Shift the top byte up to bit 31 and back to sign-extend it
+            const value = ((bytes[offset + 2] << 24) | (bytes[offset + 1] << 16) | (bytes[offset] << 8)) >> 8;
+            output[i] = value / 0x800000;
+        }
+    } else {
+        for (let i = 0; i < count; i++) output[i] = view.getInt16(i * 2, true) / 0x8000;
+    }
+
+    return output;
+}
+
+/**
+ * Find the format and the data chunk in the start of a WAV file.
+ * Returns { format, sampleRate, dataOffset, dataSize }, or null if the data chunk starts beyond
+ * the bytes given; throws if they aren't a WAV we can read.
+ */
+export function parseWavHeader(buffer) {
+    const view = new DataView(buffer);
+    const readString = (offset) => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+
+    if (buffer.byteLength < 12 || readString(0) !== "RIFF" || readString(8) !== "WAVE") {
+        throw new Error("Not a WAV file");
+    }
+
+    let format = null;
+    let sampleRate = 0;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.byteLength) {
+        const id = readString(offset);
+        const size = view.getUint32(offset + 4, true);
+
+        if (id === "fmt ") {
+            let formatTag = view.getUint16(offset + 8, true);
+            if (formatTag === WAVE_FORMAT.EXTENSIBLE) formatTag = view.getUint16(offset + 32, true);
+            const channels = view.getUint16(offset + 10, true);
+            const bitDepth = view.getUint16(offset + 22, true);
+
+            const supported = formatTag === WAVE_FORMAT.IEEE_FLOAT ? bitDepth === 32 : (bitDepth === 16 || bitDepth === 24);
+            if (!supported) throw new Error(`Unsupported WAV format (${formatTag}, ${bitDepth}-bit)`);
+
+            format = describeFormat(bitDepth, channels);
+            sampleRate = view.getUint32(offset + 12, true);
+        } else if (id === "data") {
+            if (!format) throw new Error("WAV data chunk comes before fmt");
+            return { format, sampleRate, dataOffset: offset + 8, dataSize: size };
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    return null;
+}
+
+/**
+ * Channel mask for WAVE_FORMAT_EXTENSIBLE (mono = front centre, otherwise the first N speakers)
+ */
+function channelMask(channels) {
+    return channels === 1 ? 0x4 : (2 ** channels) - 1;
+}
+
+/**
+ * Build everything that precedes the PCM bytes: RIFF, fmt (and fact for float), and the data chunk header.
+ * `trailingSize` counts chunks written after the audio (see buildMetadataChunks) in the RIFF size.
+ */
+export function buildWavHeader(format, sampleRate, dataSize, trailingSize = 0) {
+    const fmtSize = format.extensible ? 40 : (format.isFloat ? 18 : 16);
+    const factSize = format.isFloat ? 12 : 0;
+    const headerSize = 12 + 8 + fmtSize + factSize + 8;
+
+    const buffer = new ArrayBuffer(headerSize);
+    const view = new DataView(buffer);
+
+    function writeString(offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    // RIFF header (odd-sized data is followed by a pad byte, which RIFF counts)
+    writeString(0, "RIFF");
+    view.setUint32(4, headerSize - 8 + dataSize + (dataSize % 2) + trailingSize, true);
+    writeString(8, "WAVE");
+
+    // fmt chunk
+    writeString(12, "fmt ");
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, format.extensible ? WAVE_FORMAT.EXTENSIBLE : format.formatTag, true);
+    view.setUint16(22, format.channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * format.blockAlign, true);
+    view.setUint16(32, format.blockAlign, true);
+    view.setUint16(34, format.bitDepth, true);
+
+    if (fmtSize > 16) {
+        view.setUint16(36, fmtSize - 18, true); // cbSize
+    }
+
+    if (format.extensible) {
+        view.setUint16(38, format.bitDepth, true); // valid bits per sample
+        view.setUint32(40, channelMask(format.channels), true);
+        view.setUint16(44, format.formatTag, true);
+        SUBFORMAT_GUID_TAIL.forEach((byte, i) => view.setUint8(46 + i, byte));
+    }
+
+    let offset = 20 + fmtSize;
+
+    // fact chunk - required for non-PCM formats
+    if (format.isFloat) {
+        writeString(offset, "fact");
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, dataSize / format.blockAlign, true);
+        offset += factSize;
+    }
+
+    // data chunk header
+    writeString(offset, "data");
+    view.setUint32(offset + 4, dataSize, true);
+
+    return buffer;
+}
+
+/**
+ * Build a complete WAV file from encoded sample chunks, optionally followed by `trailing` chunk bytes
+ */
+export function buildWav(chunks, format, sampleRate, trailing = null) {
+    const dataSize = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const trailingSize = trailing ? trailing.length : 0;
+    const header = buildWavHeader(format, sampleRate, dataSize, trailingSize);
+
+    const wav = new Uint8Array(header.byteLength + dataSize + (dataSize % 2) + trailingSize);
+    wav.set(new Uint8Array(header), 0);
+
+    let offset = header.byteLength;
+    for (const chunk of chunks) {
+        wav.set(chunk, offset);
+        offset += chunk.length;
+    }
+    if (trailing) wav.set(trailing, offset + (dataSize % 2));
+
+    return wav.buffer;
+}
+
+/**
+ * One RIFF chunk: id, little-endian size, payload, pad byte if the payload is odd-sized
+ */
+function riffChunk(id, payload) {
+    const chunk = new Uint8Array(8 + payload.length + (payload.length % 2));
+    const view = new DataView(chunk.buffer);
+    for (let i = 0; i < 4; i++) chunk[i] = id.charCodeAt(i);
+    view.setUint32(4, payload.length, true);
+    chunk.set(payload, 8);
+    return chunk;
+}
+
+export function concatBytes(parts) {
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+/**
+ * Fixed-width, NUL-padded ASCII field (bext text fields)
+ */
+function asciiField(text, length) {
+    const field = new Uint8Array(length);
+    const value = String(text || '').replace(/[^\x20-\x7e\r\n]/g, '?');
+    for (let i = 0; i < Math.min(value.length, length); i++) field[i] = value.charCodeAt(i);
+    return field;
+}
+
+const INFO_FIELDS = {
+    title: 'INAM',
+    date: 'ICRD',
+    software: 'ISFT',
+    comment: 'ICMT',
+    artist: 'IART',
+};
+
+/**
+ * LIST/INFO chunk from { title, date, software, comment, artist } (empty fields are left out)
+ */
+export function buildInfoChunk(info) {
+    const encoder = new TextEncoder();
+    const fields = Object.entries(INFO_FIELDS)
+        .filter(([key]) => info[key])
+        .map(([key, id]) => riffChunk(id, encoder.encode(`${info[key]}\0`)));
+
+    return riffChunk('LIST', concatBytes([encoder.encode('INFO'), ...fields]));
+}
+
+/**
+ * Broadcast WAV (EBU Tech 3285, version 1) bext chunk.
+ * `timeReference` is the first sample's position counted in samples since midnight.
+ */
+export function buildBextChunk({ description, originator, originatorReference, originationDate, originationTime, timeReference = 0, codingHistory = '' }) {
+    const fixed = new Uint8Array(602);
+    const view = new DataView(fixed.buffer);
+
+    fixed.set(asciiField(description, 256), 0);
+    fixed.set(asciiField(originator, 32), 256);
+    fixed.set(asciiField(originatorReference, 32), 288);
+    fixed.set(asciiField(originationDate, 10), 320);    // yyyy-mm-dd
+    fixed.set(asciiField(originationTime, 8), 330);     // hh:mm:ss
+    view.setBigUint64(338, BigInt(Math.max(0, Math.round(timeReference))), true);
+    view.setUint16(346, 1, true);                       // Version; UMID, loudness and reserved stay zero
+
+    return riffChunk('bext', concatBytes([fixed, asciiField(codingHistory, codingHistory.length)]));
+}
+
+/**
+ * Application chunk carrying a JSON document (used for capture diagnostics)
+ */
+export function buildJsonChunk(id, data) {
+    return riffChunk(id, new TextEncoder().encode(JSON.stringify(data)));
+}
+
+const DIAGNOSTICS_CHUNK_ID = 'diag';
+
+const twoDigits = (n) => String(n).padStart(2, '0');
+
+/**
+ * Chunks describing a take, written after its audio: LIST/INFO, bext, and a 'diag' chunk holding
+ * the capture diagnostics as JSON. `metadata` is { title, comment, software, startedAt, diagnostics,
+ * processing }, processing being the post-processing applied (kept next to the diagnostics);
+ * dates and times are local, as bext expects.
+ */
+export function buildMetadataChunks(metadata, format, sampleRate) {
+    const started = new Date(metadata.startedAt || Date.now());
+    const date = `${started.getFullYear()}-${twoDigits(started.getMonth() + 1)}-${twoDigits(started.getDate())}`;
+    const time = `${twoDigits(started.getHours())}:${twoDigits(started.getMinutes())}:${twoDigits(started.getSeconds())}`;
+    const midnight = new Date(started).setHours(0, 0, 0, 0);
+    const mode = format.channels === 1 ? 'mono' : format.channels === 2 ? 'stereo' : `${format.channels}ch`;
+
+    const chunks = [
+        buildInfoChunk({ title: metadata.title, date, software: metadata.software, comment: metadata.comment }),
+        buildBextChunk({
+            description: metadata.comment || metadata.title,
+            originator: metadata.software,
+            originationDate: date,
+            originationTime: time,
+            timeReference: (started - midnight) / 1000 * sampleRate,
+            codingHistory: `A=PCM,F=${sampleRate},W=${format.bitDepth},M=${mode},T=${metadata.software}\r\n`,
+        }),
+    ];
+    const diagnostics = metadata.processing ? { ...metadata.diagnostics, processing: metadata.processing } : metadata.diagnostics;
+    if (diagnostics) chunks.push(buildJsonChunk(DIAGNOSTICS_CHUNK_ID, diagnostics));
+
+    return concatBytes(chunks);
+}
+
+/**
+ * 'cue ' chunk plus a LIST/adtl chunk of labels for [{ frame, label }] (positions in sample frames)
+ */
+export function buildCueChunks(cues) {
+    const cue = new Uint8Array(4 + cues.length * 24);
+    const view = new DataView(cue.buffer);
+    const encoder = new TextEncoder();
+    const labels = [];
+
+    view.setUint32(0, cues.length, true);
+    cues.forEach(({ frame, label }, index) => {
+        const offset = 4 + index * 24;
+        const id = index + 1;
+        view.setUint32(offset, id, true);
+        view.setUint32(offset + 4, frame, true);            // Play order position
+        cue.set(encoder.encode('data'), offset + 8);        // Chunk start and block start stay 0
+        view.setUint32(offset + 20, frame, true);           // Sample offset into the data chunk
+
+        if (label) {
+            const text = encoder.encode(`${label}\0`);
+            const labl = new Uint8Array(4 + text.length);
+            new DataView(labl.buffer).setUint32(0, id, true);
+            labl.set(text, 4);
+            labels.push(riffChunk('labl', labl));
+        }
+    });
+
+    const chunks = [riffChunk('cue ', cue)];
+    if (labels.length > 0) chunks.push(riffChunk('LIST', concatBytes([encoder.encode('adtl'), ...labels])));
+    return concatBytes(chunks);
+}
+
+/**
+ * Walk a run of RIFF chunks: [{ id, payload }]
+ */
+function readChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    for (let offset = 0; offset + 8 <= bytes.length;) {
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        chunks.push({ id, payload: bytes.subarray(offset + 8, Math.min(bytes.length, offset + 8 + size)) });
+        offset += 8 + size + (size % 2);
+    }
+    return chunks;
+}
+
+/**
+ * Move the cue points in a run of chunks (e.g. what follows the audio) with `mapFrame`, which
+ * returns a cue's new frame or null to drop it; labels of dropped cues go too. Other chunks
+ * are copied unchanged.
+ */
+export function remapCuePoints(bytes, mapFrame) {
+    const kept = new Set();
+    const rebuilt = readChunks(bytes).map(({ id, payload }) => {
+        if (id !== 'cue ') return { id, payload };
+
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const points = [];
+        for (let i = 0; i < view.getUint32(0, true); i++) {
+            const point = payload.slice(4 + i * 24, 28 + i * 24);
+            const pointView = new DataView(point.buffer);
+            const frame = mapFrame(pointView.getUint32(20, true));
+            if (frame === null) continue;
+
+            pointView.setUint32(4, frame, true);
+            pointView.setUint32(20, frame, true);
+            kept.add(pointView.getUint32(0, true));
+            points.push(point);
+        }
+
+        const count = new Uint8Array(4);
+        new DataView(count.buffer).setUint32(0, points.length, true);
+        return { id, payload: concatBytes([count, ...points]) };
+    });
+
+    return concatBytes(rebuilt.map(({ id, payload }) => {
+        if (id === 'LIST' && String.fromCharCode(...payload.subarray(0, 4)) === 'adtl') {
+            // Label, note and text entries all start with the id of the cue they belong to
+            const entries = readChunks(payload.subarray(4)).filter(({ payload: entry }) => (
+                entry.length >= 4 && kept.has(new DataView(entry.buffer, entry.byteOffset, 4).getUint32(0, true))
+            ));
+            payload = concatBytes([payload.subarray(0, 4), ...entries.map((entry) => riffChunk(entry.id, entry.payload))]);
+        }
+        return riffChunk(id, payload);
+    }));
+}
@@ -1,8 +1,108 @@
+// Batches 128-frame render quanta into larger chunks so the receiver gets a
+// handful of messages per second instead of one every ~3ms. With a shared ring
+// buffer, quanta are written straight into shared memory and only stats are posted.
+// Multi-channel input is interleaved frame by frame; batch sizes and counts are in frames.
+import { RingBuffer } from "./ring-buffer.js";
+
+const DEFAULT_BATCH_SIZE = 4096;
+
 class RecorderProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    const { batchSize = DEFAULT_BATCH_SIZE, channels = 1 } = options?.processorOptions || {};
+    this.channels = channels;
+    this.batch = new Float32Array(batchSize * channels);
+    this.frame = new Float32Array(0); // Interleaving scratch, sized to the render quantum
+    this.batchLength = 0;
+    this.workerPort = null; // Set when the main thread hands over a port to audio-worker.js
+    this.ring = null;       // Set when the main thread hands over a SharedArrayBuffer ring
+    this.ringFrames = 0;    // Frames written since the last stats message
+    this.stopped = false;
+    this.paused = false;    // Input is dropped while paused (e.g. during a microphone switch)
+    this.capturedFrames = 0;
+
+    this.port.onmessage = (event) => {
+      const { type, port, sharedBuffer } = event.data;
+
+      if (type === "connect") {
+        this.workerPort = port;
+      } else if (type === "connect-ring") {
+        this.ring = new RingBuffer(sharedBuffer);
+      } else if (type === "pause") {
+        // Everything before the pause goes out now; the page learns where in the capture it fell
+        this.paused = true;
+        this.flush();
+        this.port.postMessage({ type: "paused", frames: this.capturedFrames });
+      } else if (type === "resume") {
+        this.paused = false;
+      } else if (type === "stop") {
+        // Send the partial batch, then tell the worker nothing else is coming
+        this.flush();
+        this.stopped = true;
+        this.workerPort?.postMessage({ type: "capture-ended" });
+        this.ring?.close();
+        this.port.postMessage({ type: "stopped" });
+      }
+    };
+  }
+
+  flush() {
+    if (this.ring) {
+      if (this.ringFrames > 0) this.port.postMessage({ type: "batch", frames: this.ringFrames });
+      this.ringFrames = 0;
+      return;
+    }
+
+    if (this.batchLength === 0) return;
+
+    const chunk = this.batch.slice(0, this.batchLength);
+    this.batchLength = 0;
+
+    if (this.workerPort) {
+      // Audio goes straight to the worker; the main thread only gets a small stats message
+      this.workerPort.postMessage({ type: "process", data: { buffer: chunk.buffer } }, [chunk.buffer]);
+      this.port.postMessage({ type: "batch", frames: chunk.length / this.channels });
+    } else {
+      this.port.postMessage(chunk);
+    }
+  }
+
+  // One quantum as a single (interleaved) array, or null when there's no input
+  interleave(channelData) {
+    if (!channelData || channelData.length === 0) return null;
+    if (this.channels === 1) return channelData[0];
+
+    const frames = channelData[0].length;
+    if (this.frame.length !== frames * this.channels) this.frame = new Float32Array(frames * this.channels);
+    for (let channel = 0; channel < this.channels; channel++) {
+      const data = channelData[channel];
+      for (let i = 0; i < frames; i++) this.frame[i * this.channels + channel] = data ? data[i] : 0;
+    }
+    return this.frame;
+  }
+
   process(inputs) {
-    const input = inputs[0][0];
-    if (input) {
-      this.port.postMessage(input);
+    if (this.stopped) return false;
+
+    const input = this.paused ? null : this.interleave(inputs[0]);
+    const frames = input ? input.length / this.channels : 0;
+    if (input) this.capturedFrames += frames;
+    if (input && this.ring) {
+      // Overflows are counted inside the ring; the diagnostics panel reads them from shared memory
+      this.ring.write(input);
+      this.ringFrames += frames;
+      if (this.ringFrames * this.channels >= this.batch.length) this.flush();
+    } else if (input) {
+      let offset = 0;
+      while (offset < input.length) {
+        const count = Math.min(input.length - offset, this.batch.length - this.batchLength);
+        this.batch.set(input.subarray(offset, offset + count), this.batchLength);
+        this.batchLength += count;
+        offset += count;
+
+        if (this.batchLength === this.batch.length) this.flush();
+      }
     }
     return true;
   }
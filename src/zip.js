@@ -0,0 +1,118 @@
+/**
+ * ZIP Bundles
+ * Builds a store-only (uncompressed) ZIP in the browser. Audio barely compresses, so entries are
+ * stored as-is: the archive is a Blob made of the entries' own Blobs between small headers, and
+ * the only pass over the data is for the CRC.
+ */
+
+const CONFIG = {
+    CRC_SLICE_BYTES: 4 * 1024 * 1024,   // Read this much at a time while computing CRCs
+};
+
+const MAX_ZIP_BYTES = 0xffffffff;      // No Zip64 - sizes and offsets are 32-bit
+const FLAG_UTF8_NAMES = 0x0800;
+const VERSION = 20;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+async function crc32(blob) {
+    let crc = 0xffffffff;
+    for (let offset = 0; offset < blob.size; offset += CONFIG.CRC_SLICE_BYTES) {
+        const bytes = new Uint8Array(await blob.slice(offset, offset + CONFIG.CRC_SLICE_BYTES).arrayBuffer());
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time as stored in ZIP headers (local time, 2-second resolution)
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Replace characters that file systems reject; empty names become `fallback`
+ */
+export function safeFileName(name, fallback = 'file') {
+    return name.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_').trim() || fallback;
+}
+
+/**
+ * Make `name` unique within `used` by adding " (2)", " (3)"... before the extension
+ */
+export function uniqueFileName(name, used) {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+    for (let n = 2; used.has(candidate); n++) candidate = `${stem} (${n})${extension}`;
+    used.add(candidate);
+    return candidate;
+}
+
+/**
+ * Pack entries ({ name, data: Blob | string | Uint8Array, lastModified? }) into a ZIP Blob
+ */
+export async function createZip(entries) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const data = entry.data instanceof Blob ? entry.data : new Blob([entry.data]);
+        const name = encoder.encode(entry.name);
+        const crc = await crc32(data);
+        const { time, day } = dosDateTime(new Date(entry.lastModified || Date.now()));
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, VERSION, true);
+        local.setUint16(6, FLAG_UTF8_NAMES, true);
+        local.setUint16(8, 0, true);                // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.size, true);
+        local.setUint32(22, data.size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, VERSION, true);
+        header.setUint16(6, VERSION, true);
+        header.setUint16(8, FLAG_UTF8_NAMES, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, time, true);
+        header.setUint16(14, day, true);
+        header.setUint32(16, crc, true);
+        header.setUint32(20, data.size, true);
+        header.setUint32(24, data.size, true);
+        header.setUint16(28, name.length, true);
+        header.setUint32(42, offset, true);         // Extra/comment lengths, disk and attributes stay 0
+        central.push(header, name);
+
+        parts.push(local, name, data);
+        offset += 30 + name.length + data.size;
+        if (offset > MAX_ZIP_BYTES) throw new Error('Export is larger than 4 GB - export fewer takes at a time');
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
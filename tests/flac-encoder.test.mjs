@@ -0,0 +1,285 @@
+/**
+ * FLAC Encoder Tests
+ * Encodes known PCM, then decodes it again with a small reference decoder (the subframe types
+ * the encoder writes: CONSTANT, VERBATIM, FIXED) that checks STREAMINFO, every frame header's
+ * CRC-8 and every frame's CRC-16, and compares the decoded samples with the input.
+ * No dependencies - run with `node --test tests/flac-encoder.test.mjs` (Node 18+)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeFlac } from '../src/flac-encoder.js';
+import { WavReader } from '../src/wav-reader.js';
+import { buildWavHeader, describeFormat } from '../src/wav.js';
+
+// Bit-at-a-time CRCs, independent of the table-driven ones in the encoder
+function crc8(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+    return crc;
+}
+
+function crc16(bytes) {
+    let crc = 0;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let k = 0; k < 8; k++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+    return crc;
+}
+
+class BitReader {
+    constructor(bytes, position = 0) {
+        this.bytes = bytes;
+        this.bit = position * 8;
+    }
+
+    get position() {
+        return this.bit / 8;
+    }
+
+    read(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++, this.bit++) {
+            value = value * 2 + ((this.bytes[this.bit >> 3] >> (7 - (this.bit & 7))) & 1);
+        }
+        return value;
+    }
+
+    readSigned(count) {
+        const value = this.read(count);
+        return value >= 2 ** (count - 1) ? value - 2 ** count : value;
+    }
+
+    readUnary() {
+        let zeros = 0;
+        while (this.read(1) === 0) zeros++;
+        return zeros;
+    }
+
+    align() {
+        this.bit = Math.ceil(this.bit / 8) * 8;
+    }
+}
+
+function readFrameNumber(reader) {
+    const lead = reader.read(8);
+    if (lead < 0x80) return lead;
+
+    let continuation = 0;
+    while (lead & (0x40 >> continuation)) continuation++;
+    let value = lead & (0x3f >> continuation);
+    for (let i = 0; i < continuation; i++) {
+        const byte = reader.read(8);
+        assert.equal(byte & 0xc0, 0x80, 'frame number continuation byte');
+        value = value * 64 + (byte & 0x3f);
+    }
+    return value;
+}
+
+const FIXED_COEFFICIENTS = [[], [1], [2, -1], [3, -3, 1], [4, -6, 4, -1]];
+
+function readSubframe(reader, blockSize, bitsPerSample) {
+    assert.equal(reader.read(1), 0, 'subframe padding bit');
+    const type = reader.read(6);
+    assert.equal(reader.read(1), 0, 'no wasted bits');
+    const samples = new Array(blockSize);
+
+    if (type === 0) {
+        return samples.fill(reader.readSigned(bitsPerSample));
+    }
+    if (type === 1) {
+        for (let i = 0; i < blockSize; i++) samples[i] = reader.readSigned(bitsPerSample);
+        return samples;
+    }
+
+    assert.ok(type >= 8 && type <= 12, `FIXED subframe expected, got type ${type}`);
+    const order = type - 8;
+    for (let i = 0; i < order; i++) samples[i] = reader.readSigned(bitsPerSample);
+
+    const method = reader.read(2);
+    assert.ok(method <= 1, 'Rice coding method');
+    const partitionOrder = reader.read(4);
+    const partitionSize = blockSize >> partitionOrder;
+    const residual = [];
+    for (let p = 0; p < 1 << partitionOrder; p++) {
+        const k = reader.read(method === 1 ? 5 : 4);
+        assert.notEqual(k, method === 1 ? 31 : 15, 'no escaped partitions');
+        const count = partitionSize - (p === 0 ? order : 0);
+        for (let i = 0; i < count; i++) {
+            const folded = reader.readUnary() * 2 ** k + reader.read(k);
+            residual.push(folded % 2 === 0 ? folded / 2 : -(folded + 1) / 2);
+        }
+    }
+
+    const coefficients = FIXED_COEFFICIENTS[order];
+    for (let i = order; i < blockSize; i++) {
+        let prediction = 0;
+        for (let j = 0; j < order; j++) prediction += coefficients[j] * samples[i - 1 - j];
+        samples[i] = prediction + residual[i - order];
+    }
+    return samples;
+}
+
+/**
+ * { streamInfo, frames: [{ number, blockSize, sampleRateCode }], channels: [samples per channel] }
+ */
+function decodeFlac(bytes) {
+    assert.equal(new TextDecoder().decode(bytes.subarray(0, 4)), 'fLaC');
+    const header = new BitReader(bytes, 4);
+    assert.equal(header.read(1), 1, 'STREAMINFO is the last metadata block');
+    assert.equal(header.read(7), 0, 'STREAMINFO block type');
+    assert.equal(header.read(24), 34, 'STREAMINFO length');
+    const streamInfo = {
+        minBlockSize: header.read(16),
+        maxBlockSize: header.read(16),
+        minFrameSize: header.read(24),
+        maxFrameSize: header.read(24),
+        sampleRate: header.read(20),
+        channels: header.read(3) + 1,
+        bitsPerSample: header.read(5) + 1,
+        totalFrames: header.read(36),
+    };
+
+    const { channels, bitsPerSample } = streamInfo;
+    const decoded = Array.from({ length: channels }, () => []);
+    const frames = [];
+    let position = 4 + 4 + 34;
+
+    while (position < bytes.length) {
+        const reader = new BitReader(bytes, position);
+        assert.equal(reader.read(14), 0b11111111111110, 'frame sync');
+        assert.equal(reader.read(1), 0, 'reserved bit');
+        assert.equal(reader.read(1), 0, 'fixed block size stream');
+        const blockSizeCode = reader.read(4);
+        const sampleRateCode = reader.read(4);
+        assert.equal(reader.read(4), channels - 1, 'independent channels');
+        const sampleSizeCode = reader.read(3);
+        assert.equal(sampleSizeCode, { 16: 4, 24: 6 }[bitsPerSample], 'sample size code');
+        assert.equal(reader.read(1), 0, 'reserved bit');
+        const number = readFrameNumber(reader);
+        assert.equal(blockSizeCode, 0b0111, '16-bit block size follows');
+        const blockSize = reader.read(16) + 1;
+
+        const headerEnd = reader.position;
+        assert.equal(reader.read(8), crc8(bytes.subarray(position, headerEnd)), `frame ${number} header CRC-8`);
+
+        for (let channel = 0; channel < channels; channel++) {
+            decoded[channel].push(...readSubframe(reader, blockSize, bitsPerSample));
+        }
+        reader.align();
+
+        const frameEnd = reader.position;
+        assert.equal(reader.read(16), crc16(bytes.subarray(position, frameEnd)), `frame ${number} CRC-16`);
+        frames.push({ number, blockSize, sampleRateCode, size: frameEnd + 2 - position });
+        position = frameEnd + 2;
+    }
+
+    return { streamInfo, frames, channels: decoded };
+}
+
+/**
+ * WAV Blob holding integer PCM `channels` (arrays of ints), or floats when bitDepth is 32
+ */
+function makeWav(channelSamples, bitDepth, sampleRate) {
+    const format = describeFormat(bitDepth, channelSamples.length);
+    const frames = channelSamples[0].length;
+    const data = new DataView(new ArrayBuffer(frames * format.blockAlign));
+
+    for (let frame = 0; frame < frames; frame++) {
+        channelSamples.forEach((samples, channel) => {
+            const offset = frame * format.blockAlign + channel * format.bytesPerSample;
+            const value = samples[frame];
+            if (bitDepth === 16) {
+                data.setInt16(offset, value, true);
+            } else if (bitDepth === 24) {
+                data.setUint8(offset, value & 0xff);
+                data.setInt16(offset + 1, value >> 8, true);
+            } else {
+                data.setFloat32(offset, value, true);
+            }
+        });
+    }
+    return new Blob([buildWavHeader(format, sampleRate, data.byteLength), data.buffer]);
+}
+
+// Speech-like test signal: tones, noise, a stretch of digital silence and a clipped burst
+function makeSamples(frames, bits, seed) {
+    const max = 2 ** (bits - 1) - 1;
+    const samples = new Array(frames);
+    for (let i = 0; i < frames; i++) {
+        seed = (seed * 16807) % 2147483647;
+        const noise = seed / 2147483647 - 0.5;
+        let value = 0.3 * Math.sin(i * 0.031) + 0.2 * Math.sin(i * 0.57) + 0.05 * noise;
+        if (i >= 5000 && i < 9500) value = 0;                   // Whole frames of CONSTANT
+        if (i >= 12000 && i < 12300) value = 4 * noise;          // Clipped white noise
+        samples[i] = Math.max(-max - 1, Math.min(max, Math.round(value * max)));
+    }
+    return samples;
+}
+
+async function roundTrip(channelSamples, bitDepth, sampleRate) {
+    const reader = await WavReader.open(makeWav(channelSamples, bitDepth, sampleRate));
+    const flac = await encodeFlac(reader);
+    assert.equal(flac.type, 'audio/flac');
+    return decodeFlac(new Uint8Array(await flac.arrayBuffer()));
+}
+
+test('16-bit mono round-trips exactly, with STREAMINFO describing the stream', async () => {
+    const samples = makeSamples(20000, 16, 7);      // Not a whole number of 4096-sample blocks
+    const { streamInfo, frames, channels } = await roundTrip([samples], 16, 16000);
+
+    assert.deepEqual(channels, [samples]);
+    assert.equal(streamInfo.sampleRate, 16000);
+    assert.equal(streamInfo.channels, 1);
+    assert.equal(streamInfo.bitsPerSample, 16);
+    assert.equal(streamInfo.totalFrames, 20000);
+    assert.equal(streamInfo.minBlockSize, 4096);
+    assert.equal(streamInfo.maxBlockSize, 4096);
+    assert.equal(streamInfo.minFrameSize, Math.min(...frames.map(({ size }) => size)));
+    assert.equal(streamInfo.maxFrameSize, Math.max(...frames.map(({ size }) => size)));
+
+    assert.deepEqual(frames.map(({ number }) => number), [0, 1, 2, 3, 4]);
+    assert.deepEqual(frames.map(({ blockSize }) => blockSize), [4096, 4096, 4096, 4096, 20000 - 4 * 4096]);
+    assert.ok(frames.every(({ sampleRateCode }) => sampleRateCode === 5), '16 kHz frame header code');
+});
+
+test('24-bit stereo round-trips exactly', async () => {
+    const left = makeSamples(9000, 24, 11);
+    const right = makeSamples(9000, 24, 12).reverse();
+    const { streamInfo, channels } = await roundTrip([left, right], 24, 44100);
+
+    assert.equal(streamInfo.channels, 2);
+    assert.equal(streamInfo.bitsPerSample, 24);
+    assert.deepEqual(channels, [left, right]);
+});
+
+test('32-bit float takes become 24-bit FLAC', async () => {
+    const ints = makeSamples(5000, 24, 5);
+    const floats = ints.map((value) => value / 2 ** 23);
+    const { streamInfo, channels } = await roundTrip([floats], 32, 48000);
+
+    assert.equal(streamInfo.bitsPerSample, 24);
+    assert.deepEqual(channels, [ints]);
+});
+
+test('an odd sample rate is left to STREAMINFO', async () => {
+    const samples = makeSamples(3000, 16, 3);
+    const { streamInfo, frames, channels } = await roundTrip([samples], 16, 11025);
+
+    assert.equal(streamInfo.sampleRate, 11025);
+    assert.equal(frames[0].sampleRateCode, 0);
+    assert.deepEqual(channels, [samples]);
+});
+
+test('frame numbers past 127 use multi-byte coding', async () => {
+    const frames = 4096 * 130 + 100;
+    const samples = Array.from({ length: frames }, (_, i) => (i % 4096 < 8 ? i % 8 : 0));
+    const result = await roundTrip([samples], 16, 16000);
+
+    assert.deepEqual(result.frames.map(({ number }) => number), Array.from({ length: 131 }, (_, i) => i));
+    assert.deepEqual(result.channels, [samples]);
+});
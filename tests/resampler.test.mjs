@@ -0,0 +1,84 @@
+/**
+ * Resampler Chunking Test
+ * The same signal fed in one call and in odd-sized chunks must resample to identical output,
+ * exactly expectedOutputLength() frames long once flushed.
+ * No dependencies - run with `node --test tests/resampler.test.mjs` (Node 18+)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Resampler, MultichannelResampler } from '../src/resampler.js';
+
+const RATE_PAIRS = [[16000, 48000], [44100, 16000], [48000, 16000]];
+const CHUNK_SIZES = [1, 127, 4096, 3, 1000, 511];     // Frames, cycled until the input runs out
+
+// A tone per channel (a different one on each) plus deterministic noise
+function makeSignal(frames, channels, sampleRate) {
+    const samples = new Float32Array(frames * channels);
+    let seed = 12345;
+    for (let frame = 0; frame < frames; frame++) {
+        for (let channel = 0; channel < channels; channel++) {
+            seed = (seed * 16807) % 2147483647;
+            const t = frame / sampleRate;
+            samples[frame * channels + channel] = 0.4 * Math.sin(2 * Math.PI * (440 + 110 * channel) * t)
+                + 0.1 * (seed / 2147483647 - 0.5);
+        }
+    }
+    return samples;
+}
+
+function concat(parts) {
+    const output = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        output.set(part, offset);
+        offset += part.length;
+    }
+    return output;
+}
+
+function resampleWhole(resampler, samples) {
+    return concat([resampler.process(samples), resampler.flush()]);
+}
+
+function resampleChunked(resampler, samples, channels) {
+    const parts = [];
+    for (let offset = 0, i = 0; offset < samples.length; i++) {
+        const end = Math.min(samples.length, offset + CHUNK_SIZES[i % CHUNK_SIZES.length] * channels);
+        parts.push(resampler.process(samples.subarray(offset, end)));
+        offset = end;
+    }
+    parts.push(resampler.flush());
+    return concat(parts);
+}
+
+function assertSameOutput(whole, chunked) {
+    assert.equal(chunked.length, whole.length);
+    for (let i = 0; i < whole.length; i++) {
+        if (whole[i] !== chunked[i]) assert.fail(`sample ${i} differs: ${whole[i]} vs ${chunked[i]}`);
+    }
+}
+
+for (const [sourceRate, targetRate] of RATE_PAIRS) {
+    const inputFrames = Math.round(sourceRate * 1.5) + 17;     // Not a whole number of output periods
+
+    test(`Resampler ${sourceRate} -> ${targetRate}: chunked matches unchunked`, () => {
+        const signal = makeSignal(inputFrames, 1, sourceRate);
+        const whole = resampleWhole(new Resampler(sourceRate, targetRate), signal);
+        const chunked = resampleChunked(new Resampler(sourceRate, targetRate), signal, 1);
+
+        assert.equal(whole.length, new Resampler(sourceRate, targetRate).expectedOutputLength(inputFrames));
+        assertSameOutput(whole, chunked);
+    });
+
+    test(`MultichannelResampler ${sourceRate} -> ${targetRate}: chunked matches unchunked`, () => {
+        const channels = 2;
+        const signal = makeSignal(inputFrames, channels, sourceRate);
+        const whole = resampleWhole(new MultichannelResampler(sourceRate, targetRate, channels), signal);
+        const chunked = resampleChunked(new MultichannelResampler(sourceRate, targetRate, channels), signal, channels);
+
+        const expected = new MultichannelResampler(sourceRate, targetRate, channels).expectedOutputLength(inputFrames);
+        assert.equal(whole.length, expected * channels);
+        assertSameOutput(whole, chunked);
+    });
+}
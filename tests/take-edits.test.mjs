@@ -0,0 +1,164 @@
+/**
+ * Take Edit Tests
+ * EditList range logic (crop, delete, merging, undo, saved histories) and how cue points follow an edit.
+ * No dependencies - run with `node --test tests/take-edits.test.mjs` (Node 18+)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EditList, editedFrame, latestVersion } from '../src/take-edits.js';
+import { buildCueChunks, buildInfoChunk, remapCuePoints } from '../src/wav.js';
+
+test('crop keeps only the selected range', () => {
+    const edits = new EditList(1000);
+    assert.deepEqual(edits.crop(100, 400), [{ start: 100, end: 400 }]);
+    assert.equal(edits.length, 300);
+    assert.equal(edits.isOriginal, false);
+});
+
+test('delete splits the take around the removed range', () => {
+    const edits = new EditList(1000);
+    assert.deepEqual(edits.delete(200, 300), [{ start: 0, end: 200 }, { start: 300, end: 1000 }]);
+    assert.equal(edits.length, 900);
+});
+
+test('crop and delete across a join work in the edited timeline', () => {
+    const edits = new EditList(1000);
+    edits.delete(200, 300);         // Edited frames 0-200 are original 0-200, 200-900 are 300-1000
+
+    // Edited 150-250 straddles the join: original 150-200 and 300-350
+    assert.deepEqual(edits.crop(150, 250), [{ start: 150, end: 200 }, { start: 300, end: 350 }]);
+
+    const other = new EditList(1000);
+    other.delete(200, 300);
+    assert.deepEqual(other.delete(150, 250), [{ start: 0, end: 150 }, { start: 350, end: 1000 }]);
+    assert.equal(other.length, 800);
+});
+
+test('deleting everything is refused and leaves the history alone', () => {
+    const edits = new EditList(1000);
+    edits.crop(100, 400);
+
+    assert.equal(edits.delete(0, 300), null);
+    assert.equal(edits.crop(300, 300), null);
+    assert.deepEqual(edits.segments, [{ start: 100, end: 400 }]);
+    assert.equal(edits.history.length, 2);
+});
+
+test('pieces contiguous in the original merge back into one segment', () => {
+    const edits = new EditList(1000);
+    edits.delete(200, 300);
+
+    // Cropping to everything that's left keeps the two pieces apart - they aren't contiguous
+    assert.equal(edits.crop(0, edits.length).length, 2);
+
+    // An empty deletion leaves contiguous pieces either side, which join up again
+    const whole = new EditList(1000);
+    assert.deepEqual(whole.delete(500, 500), [{ start: 0, end: 1000 }]);
+});
+
+test('undo steps back through the history to the original', () => {
+    const edits = new EditList(1000);
+    edits.delete(200, 300);
+    edits.crop(0, 500);
+
+    assert.deepEqual(edits.undo(), [{ start: 0, end: 200 }, { start: 300, end: 1000 }]);
+    assert.equal(edits.canUndo, true);
+    assert.deepEqual(edits.undo(), [{ start: 0, end: 1000 }]);
+    assert.equal(edits.canUndo, false);
+    assert.equal(edits.isOriginal, true);
+
+    // Nothing left to undo
+    assert.deepEqual(edits.undo(), [{ start: 0, end: 1000 }]);
+});
+
+test('a saved history carries on, undo included, without sharing segments', () => {
+    const first = new EditList(1000);
+    first.delete(200, 300);
+    first.crop(0, 500);
+
+    const reopened = new EditList(1000, first.history);
+    assert.deepEqual(reopened.segments, first.segments);
+    reopened.delete(0, 100);
+    assert.deepEqual(first.segments, [{ start: 0, end: 200 }, { start: 300, end: 600 }]);
+
+    reopened.undo();
+    reopened.undo();
+    assert.deepEqual(reopened.undo(), [{ start: 0, end: 1000 }]);
+    assert.equal(reopened.isOriginal, true);
+});
+
+test('latestVersion prefers a saved edit over the recording', () => {
+    const take = { blob: 'original', frames: 1000, duration: 1 };
+    assert.equal(latestVersion(take), take);
+
+    const edit = { blob: 'edited', frames: 500, duration: 0.5 };
+    assert.equal(latestVersion({ ...take, edit }), edit);
+});
+
+test('editedFrame maps original frames through kept segments', () => {
+    const segments = [{ start: 0, end: 200 }, { start: 300, end: 1000 }];
+    assert.equal(editedFrame(segments, 0), 0);
+    assert.equal(editedFrame(segments, 200), 200);     // End of a segment stays with it
+    assert.equal(editedFrame(segments, 250), null);    // Deleted
+    assert.equal(editedFrame(segments, 300), 200);
+    assert.equal(editedFrame(segments, 1000), 900);
+    assert.equal(editedFrame([{ start: 100, end: 400 }], 50), null);
+});
+
+// Cue frames and label texts of a run of chunks
+function readCues(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const cues = new Map();
+    const labels = new Map();
+    const chunkIds = [];
+
+    for (let offset = 0; offset + 8 <= bytes.length;) {
+        const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        const size = view.getUint32(offset + 4, true);
+        const payload = offset + 8;
+        chunkIds.push(id);
+
+        if (id === 'cue ') {
+            for (let i = 0; i < view.getUint32(payload, true); i++) {
+                const point = payload + 4 + i * 24;
+                assert.equal(view.getUint32(point + 4, true), view.getUint32(point + 20, true));
+                cues.set(view.getUint32(point, true), view.getUint32(point + 20, true));
+            }
+        } else if (id === 'LIST' && String.fromCharCode(...bytes.subarray(payload, payload + 4)) === 'adtl') {
+            for (let entry = payload + 4; entry < payload + size;) {
+                const entrySize = view.getUint32(entry + 4, true);
+                const text = new TextDecoder().decode(bytes.subarray(entry + 12, entry + 8 + entrySize)).replace(/\0+$/, '');
+                labels.set(view.getUint32(entry + 8, true), text);
+                entry += 8 + entrySize + (entrySize % 2);
+            }
+        }
+        offset += 8 + size + (size % 2);
+    }
+
+    return {
+        chunkIds,
+        cues: [...cues].map(([id, frame]) => ({ frame, label: labels.get(id) })),
+        orphanLabels: [...labels.keys()].filter((id) => !cues.has(id)),
+    };
+}
+
+test('cue points move with their audio and are dropped with it', () => {
+    const info = buildInfoChunk({ title: 'Take 1' });
+    const trailing = new Uint8Array([
+        ...info,
+        ...buildCueChunks([
+            { frame: 100, label: 'Pause 1' },
+            { frame: 250, label: 'Pause 2' },
+            { frame: 600, label: 'Pause 3' },
+        ]),
+    ]);
+    const segments = [{ start: 0, end: 200 }, { start: 300, end: 1000 }];
+
+    const bytes = remapCuePoints(trailing, (frame) => editedFrame(segments, frame));
+    const remapped = readCues(bytes);
+    assert.deepEqual(remapped.cues, [{ frame: 100, label: 'Pause 1' }, { frame: 500, label: 'Pause 3' }]);
+    assert.deepEqual(remapped.orphanLabels, []);
+    assert.deepEqual(remapped.chunkIds, ['LIST', 'cue ', 'LIST']);
+    assert.deepEqual(bytes.subarray(0, info.length), info);      // INFO carries over untouched
+});
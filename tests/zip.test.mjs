@@ -0,0 +1,118 @@
+/**
+ * ZIP Bundle Tests
+ * Reads createZip() output back the way an unzip tool does: end-of-central-directory record first,
+ * then each central directory entry and the local header and data it points at.
+ * No dependencies - run with `node --test tests/zip.test.mjs` (Node 18+)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip, safeFileName, uniqueFileName } from '../src/zip.js';
+
+// Bit-at-a-time CRC-32 (IEEE), independent of the table-driven one in zip.js
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readZip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    const endOffset = bytes.length - 22;      // No archive comment
+    assert.equal(view.getUint32(endOffset, true), 0x06054b50, 'end of central directory signature');
+    const count = view.getUint16(endOffset + 10, true);
+    const directory = {
+        entriesOnDisk: view.getUint16(endOffset + 8, true),
+        count,
+        size: view.getUint32(endOffset + 12, true),
+        offset: view.getUint32(endOffset + 16, true),
+    };
+
+    const entries = [];
+    let position = directory.offset;
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014b50, 'central directory signature');
+        const nameLength = view.getUint16(position + 28, true);
+        const extraLength = view.getUint16(position + 30, true);
+        const commentLength = view.getUint16(position + 32, true);
+        const header = {
+            flags: view.getUint16(position + 8, true),
+            method: view.getUint16(position + 10, true),
+            crc: view.getUint32(position + 16, true),
+            compressedSize: view.getUint32(position + 20, true),
+            size: view.getUint32(position + 24, true),
+            localOffset: view.getUint32(position + 42, true),
+            name: decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength)),
+        };
+
+        const local = header.localOffset;
+        assert.equal(view.getUint32(local, true), 0x04034b50, 'local header signature');
+        assert.equal(view.getUint32(local + 14, true), header.crc, 'local CRC matches the directory');
+        assert.equal(view.getUint32(local + 18, true), header.compressedSize);
+        assert.equal(view.getUint32(local + 22, true), header.size);
+        const localNameLength = view.getUint16(local + 26, true);
+        const dataStart = local + 30 + localNameLength + view.getUint16(local + 28, true);
+        assert.equal(decoder.decode(bytes.subarray(local + 30, local + 30 + localNameLength)), header.name);
+
+        entries.push({ ...header, data: bytes.subarray(dataStart, dataStart + header.compressedSize) });
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+
+    // The directory ends exactly where the end record starts
+    assert.equal(position, endOffset);
+    return { directory, entries };
+}
+
+test('entries, central directory and end record line up', async () => {
+    const audio = new Uint8Array(1001).map((_, i) => (i * 37) & 0xff);
+    const zip = await createZip([
+        { name: 'take 1.wav', data: new Blob([audio]), lastModified: Date.UTC(2024, 0, 2, 3, 4, 6) },
+        { name: 'manifest.json', data: '{"takes":[]}' },
+        { name: 'ünïcode.txt', data: new Uint8Array([1, 2, 3]) },
+    ]);
+    const bytes = new Uint8Array(await zip.arrayBuffer());
+    const { directory, entries } = readZip(bytes);
+
+    assert.equal(directory.count, 3);
+    assert.equal(directory.entriesOnDisk, 3);
+    const localBytes = entries.reduce((sum, { name, size }) => sum + 30 + new TextEncoder().encode(name).length + size, 0);
+    assert.equal(directory.offset, localBytes);
+    assert.equal(directory.size, bytes.length - 22 - localBytes);
+
+    assert.deepEqual(entries.map(({ name }) => name), ['take 1.wav', 'manifest.json', 'ünïcode.txt']);
+    assert.deepEqual(entries[0].data, audio);
+    assert.equal(new TextDecoder().decode(entries[1].data), '{"takes":[]}');
+    for (const entry of entries) {
+        assert.equal(entry.method, 0, 'stored');
+        assert.equal(entry.flags & 0x0800, 0x0800, 'UTF-8 names');
+        assert.equal(entry.crc, crc32(entry.data), `CRC of ${entry.name}`);
+    }
+});
+
+test('CRC-32 matches the standard check value', async () => {
+    const zip = await createZip([{ name: 'check', data: '123456789' }]);
+    const { entries } = readZip(new Uint8Array(await zip.arrayBuffer()));
+    assert.equal(entries[0].crc, 0xcbf43926);
+});
+
+test('an empty archive is just the end record', async () => {
+    const bytes = new Uint8Array(await (await createZip([])).arrayBuffer());
+    assert.equal(bytes.length, 22);
+    assert.deepEqual(readZip(bytes).directory, { entriesOnDisk: 0, count: 0, size: 0, offset: 0 });
+});
+
+test('file names are made safe and unique', () => {
+    assert.equal(safeFileName('a/b:c?.wav'), 'a_b_c_.wav');
+    assert.equal(safeFileName('  '), 'file');
+
+    const used = new Set();
+    assert.equal(uniqueFileName('take.wav', used), 'take.wav');
+    assert.equal(uniqueFileName('take.wav', used), 'take (2).wav');
+    assert.equal(uniqueFileName('take.wav', used), 'take (3).wav');
+    assert.equal(uniqueFileName('notes', used), 'notes');
+});
@@ -0,0 +1,202 @@
+/**
+ * Local WebSocket stub for the live streaming protocol (see src/pcm-stream.js).
+ * No dependencies - run with `node tools/asr-stub.mjs [--port=8765] [--drop-after=5] [--out=take.pcm]`
+ *   --drop-after=N   close the connection after every N seconds of audio, to exercise reconnect/replay
+ *   --out=FILE       append the de-duplicated PCM to FILE (raw s16le)
+ * Instead of recognising speech it reports how much audio it has heard, as partial/final transcripts.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { appendFileSync } from 'node:fs';
+
+const args = Object.fromEntries(process.argv.slice(2).map((arg) => arg.replace(/^--/, '').split('=')));
+const PORT = Number(args.port || 8765);
+const DROP_AFTER_SECONDS = Number(args['drop-after'] || 0);
+const OUT_FILE = args.out || null;
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+const sessions = new Map();   // sessionId -> { received, sampleRate }
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    const header = length < 126 ? Buffer.alloc(2) : Buffer.alloc(length < 65536 ? 4 : 10);
+    header[0] = 0x80 | opcode;
+    if (length < 126) {
+        header[1] = length;
+    } else if (length < 65536) {
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Pull complete frames off the front of `buffer`; returns [frames, rest]
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length - offset < headerLength + maskLength + length) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+
+        frames.push({ fin, opcode, payload });
+        offset += headerLength + maskLength + length;
+    }
+
+    return [frames, buffer.subarray(offset)];
+}
+
+function handleConnection(socket) {
+    let pending = Buffer.alloc(0);
+    let fragments = null;   // { opcode, parts } while a fragmented message is arriving
+    let session = null;
+    let skip = 0;           // Replayed samples the session already has
+    let heardOnConnection = 0;
+    let lastPartialAt = 0;
+
+    const sendJson = (message) => !socket.writableEnded && socket.write(encodeFrame(OPCODE.TEXT, Buffer.from(JSON.stringify(message))));
+    const close = (code = 1000) => {
+        if (socket.writableEnded) return;
+        socket.write(encodeFrame(OPCODE.CLOSE, Buffer.from([code >> 8, code & 0xff])));   // Status code, big-endian
+        socket.end();
+    };
+
+    const onText = (text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            // Only this connection goes; the stub keeps serving the others
+            console.warn(`bad message (${err.message}), closing connection`);
+            close(1007);    // Invalid payload data
+            return;
+        }
+
+        if (message.type === 'start') {
+            if (!sessions.has(message.sessionId)) {
+                sessions.set(message.sessionId, { received: 0, sampleRate: message.sampleRate });
+            }
+            session = sessions.get(message.sessionId);
+            skip = Math.max(0, session.received - message.offset);
+            if (message.offset > session.received) {
+                console.warn(`[${message.sessionId}] gap: ${message.offset - session.received} samples lost by the client`);
+                session.received = message.offset;
+            }
+            console.log(`[${message.sessionId}] start @${message.offset} (${message.sampleRate} Hz ${message.encoding}), skipping ${skip} replayed samples`);
+            sendJson({ type: 'ready' });
+        } else if (message.type === 'end') {
+            if (!session) return;   // 'end' before any 'start' - nothing to finish
+            const seconds = session.received / session.sampleRate;
+            console.log(`end: client sent ${message.samples} samples, received ${session.received}`);
+            sendJson({ type: 'final', text: `[end of stream - ${seconds.toFixed(2)}s heard]` });
+            close();
+        }
+    };
+
+    const onBinary = (payload) => {
+        if (!session) return;
+
+        let samples = payload.length / 2;
+        let data = payload;
+        if (skip > 0) {
+            const skipped = Math.min(skip, samples);
+            skip -= skipped;
+            samples -= skipped;
+            data = payload.subarray(skipped * 2);
+        }
+        if (samples === 0) return;
+
+        session.received += samples;
+        heardOnConnection += samples;
+        if (OUT_FILE) appendFileSync(OUT_FILE, data);
+
+        const seconds = session.received / session.sampleRate;
+        if (seconds - lastPartialAt >= 0.5) {
+            lastPartialAt = seconds;
+            sendJson({ type: 'ack', received: session.received });
+            sendJson({ type: 'partial', text: `(${seconds.toFixed(1)}s of audio)` });
+        }
+
+        if (DROP_AFTER_SECONDS > 0 && heardOnConnection / session.sampleRate >= DROP_AFTER_SECONDS) {
+            console.log('dropping connection to test reconnect');
+            socket.destroy();
+        }
+    };
+
+    socket.on('data', (chunk) => {
+        let frames;
+        [frames, pending] = decodeFrames(Buffer.concat([pending, chunk]));
+
+        for (const { fin, opcode, payload } of frames) {
+            if (opcode === OPCODE.PING) {
+                socket.write(encodeFrame(OPCODE.PONG, payload));
+            } else if (opcode === OPCODE.CLOSE) {
+                close();
+            } else if (opcode === OPCODE.CONTINUATION || !fin) {
+                fragments = fragments || { opcode, parts: [] };
+                fragments.parts.push(payload);
+                if (fin) {
+                    const message = Buffer.concat(fragments.parts);
+                    fragments.opcode === OPCODE.TEXT ? onText(message.toString()) : onBinary(message);
+                    fragments = null;
+                }
+            } else if (opcode === OPCODE.TEXT) {
+                onText(payload.toString());
+            } else if (opcode === OPCODE.BINARY) {
+                onBinary(payload);
+            }
+        }
+    });
+
+    socket.on('error', (err) => console.warn('socket error:', err.message));
+}
+
+const server = createServer((request, response) => {
+    response.writeHead(426, { 'Content-Type': 'text/plain' });
+    response.end('WebSocket only\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    handleConnection(socket);
+});
+
+server.listen(PORT, () => console.log(`ASR stub listening on ws://localhost:${PORT}`));
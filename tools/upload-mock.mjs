@@ -0,0 +1,110 @@
+/**
+ * Local mock of a tus 1.0 upload server for the chunked uploader (see src/uploader.js).
+ * No dependencies - run with `node tools/upload-mock.mjs [--port=8080] [--dir=/tmp/uploads] [--fail-rate=0.3]`
+ *   --fail-rate=P   drop a PATCH connection halfway through with probability P (keeps the bytes
+ *                   that arrived), to exercise retry and offset recovery
+ * Finished uploads are renamed to the filename sent in Upload-Metadata.
+ */
+
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { mkdirSync, appendFileSync, renameSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, basename } from 'node:path';
+
+const args = Object.fromEntries(process.argv.slice(2).map((arg) => arg.replace(/^--/, '').split('=')));
+const PORT = Number(args.port || 8080);
+const DIR = args.dir || join(tmpdir(), 'audio-recorder-uploads');
+const FAIL_RATE = Number(args['fail-rate'] || 0);
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, HEAD, PATCH, OPTIONS',
+    'Access-Control-Allow-Headers': 'Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset, Content-Type',
+    'Access-Control-Expose-Headers': 'Location, Upload-Offset, Upload-Length, Tus-Resumable',
+};
+
+const uploads = new Map();  // id -> { length, offset, path, filename }
+
+mkdirSync(DIR, { recursive: true });
+
+function decodeMetadata(header = '') {
+    return Object.fromEntries(header.split(',').filter(Boolean).map((pair) => {
+        const [key, value = ''] = pair.trim().split(' ');
+        return [key, Buffer.from(value, 'base64').toString('utf8')];
+    }));
+}
+
+function reply(response, status, headers = {}) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Tus-Resumable': '1.0.0', 'Cache-Control': 'no-store', ...headers });
+    response.end();
+}
+
+function handlePatch(request, response, upload) {
+    if (request.headers['content-type'] !== 'application/offset+octet-stream') return reply(response, 415);
+    if (Number(request.headers['upload-offset']) !== upload.offset) {
+        return reply(response, 409, { 'Upload-Offset': String(upload.offset) });
+    }
+
+    const expected = Number(request.headers['content-length']) || 0;
+    const failAt = Math.random() < FAIL_RATE ? Math.floor(expected / 2) : -1;
+    let received = 0;
+    let dropped = false;
+
+    request.on('data', (chunk) => {
+        if (dropped) return;
+        if (failAt >= 0 && received + chunk.length > failAt) {
+            const kept = chunk.subarray(0, failAt - received);
+            appendFileSync(upload.path, kept);
+            upload.offset += kept.length;
+            console.log(`[${upload.filename}] simulated network loss at ${upload.offset}/${upload.length}`);
+            dropped = true;
+            request.socket.destroy();
+            return;
+        }
+        appendFileSync(upload.path, chunk);
+        upload.offset += chunk.length;
+        received += chunk.length;
+    });
+
+    request.on('end', () => {
+        console.log(`[${upload.filename}] ${upload.offset}/${upload.length}`);
+        if (upload.offset === upload.length) {
+            const finalPath = join(DIR, basename(upload.filename));
+            renameSync(upload.path, finalPath);
+            upload.path = finalPath;
+            console.log(`[${upload.filename}] complete -> ${finalPath}`);
+        }
+        reply(response, 204, { 'Upload-Offset': String(upload.offset) });
+    });
+}
+
+const server = createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+
+    if (request.method === 'OPTIONS') return reply(response, 204);
+
+    if (request.method === 'POST' && url.pathname === '/files') {
+        const length = Number(request.headers['upload-length']);
+        if (!Number.isFinite(length)) return reply(response, 400);
+
+        const id = randomUUID();
+        const { filename = `${id}.bin` } = decodeMetadata(request.headers['upload-metadata']);
+        uploads.set(id, { length, offset: 0, path: join(DIR, `${id}.part`), filename });
+        appendFileSync(join(DIR, `${id}.part`), Buffer.alloc(0));
+        console.log(`created ${id} for ${filename} (${length} bytes)`);
+        return reply(response, 201, { Location: `/files/${id}` });
+    }
+
+    const upload = uploads.get(url.pathname.replace(/^\/files\//, ''));
+    if (!upload) return reply(response, 404);
+
+    if (request.method === 'HEAD') {
+        return reply(response, 200, { 'Upload-Offset': String(upload.offset), 'Upload-Length': String(upload.length) });
+    }
+    if (request.method === 'PATCH') return handlePatch(request, response, upload);
+
+    reply(response, 405);
+});
+
+server.listen(PORT, () => console.log(`Upload mock on http://localhost:${PORT}/files (saving to ${DIR})`));